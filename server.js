@@ -15,13 +15,17 @@ const express = require("express");
 const bodyParser = require("body-parser");
 const axios = require("axios");
 const fs = require("fs");
-const util = require("util");
-const { exec } = require("child_process");
-const execPromise = util.promisify(exec);
+const os = require("os");
+const path = require("path");
+const crypto = require("crypto");
+const EventEmitter = require("events");
 const { RTCPeerConnection, nonstandard } = require("wrtc");
 
 const app = express();
-app.use(bodyParser.json({ limit: "50mb" }));
+// POST /webhook is read raw and only parsed once its signature checks out
+// (see WEBHOOK SIGNATURE); every other route gets JSON bodies as usual
+const jsonBody = bodyParser.json({ limit: "50mb" });
+app.use((req, res, next) => (req.method === "POST" && req.path === "/webhook" ? next() : jsonBody(req, res, next)));
 
 // ================== ENV ==================
 const VERIFY_TOKEN = process.env.VERIFY_TOKEN || "token";
@@ -33,10 +37,481 @@ const AI_MODEL = process.env.AI_MODEL || "gemini";
 const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
 const GOOGLE_API_KEY = process.env.GOOGLE_API_KEY;
 
+// Comma-separated to allow rotation: "current,previous"
+const META_APP_SECRETS = (process.env.META_APP_SECRET || "").split(",").map((s) => s.trim()).filter(Boolean);
+
 if (!META_ACCESS_TOKEN) throw new Error("META_ACCESS_TOKEN missing");
+if (!META_APP_SECRETS.length) throw new Error("META_APP_SECRET missing");
 if (!OPENAI_API_KEY) throw new Error("OPENAI_API_KEY missing");
-if (AI_MODEL === "gemini" && !GOOGLE_API_KEY)
-  throw new Error("GOOGLE_API_KEY missing");
+
+// ================== PROVIDERS ==================
+// STT, LLM and TTS engines are adapters registered by name; personas list an
+// ordered fallback chain of them per kind. Adapters throw on failure so the
+// chain can move on. Adapter shapes (stream methods are optional):
+//   stt: { transcribe(wav: Buffer, { language, signal }) → text }
+//   llm: { complete(system, messages, { model, persona, signal }) → text,
+//          stream(system, messages, opts) → async iterable of text deltas }
+//        messages: [{ role: "user" | "assistant", content }]
+//   tts: { synthesize(text, { voice, signal }) → { pcm: Int16Array, sampleRate },
+//          synthesizeStream(text, opts) → async iterable of { pcm, sampleRate } }
+// signal is an AbortSignal that fires when the attempt times out (the chain
+// moves on) or the caller barges in; pass it to the request so work nobody
+// will use stops running (and being billed).
+const providers = { stt: new Map(), llm: new Map(), tts: new Map() };
+
+function registerProvider(kind, name, adapter) {
+  if (!providers[kind]) throw new Error(`Unknown provider kind "${kind}"`);
+  providers[kind].set(name, adapter);
+}
+
+function getProvider(kind, name) {
+  const adapter = providers[kind]?.get(name);
+  if (!adapter) throw new Error(`No ${kind} provider named "${name}"`);
+  return adapter;
+}
+
+const PROVIDER_TIMEOUT_MS = {
+  stt: Number(process.env.STT_TIMEOUT_MS || 10000),
+  llm: Number(process.env.LLM_TIMEOUT_MS || 8000),
+  tts: Number(process.env.TTS_TIMEOUT_MS || 10000),
+};
+
+// Like safePOST but throws, for adapters
+async function providerPOST(url, body, headers, timeout, config = {}) {
+  return axios.post(url, body, { headers, timeout, ...config });
+}
+
+// Parsed JSON payloads of a server-sent events response stream
+async function* sseEvents(stream) {
+  let buf = "";
+  try {
+    for await (const chunk of stream) {
+      buf += chunk.toString("utf8");
+      let nl;
+      while ((nl = buf.indexOf("\n")) >= 0) {
+        const line = buf.slice(0, nl).trim();
+        buf = buf.slice(nl + 1);
+        if (!line.startsWith("data:")) continue;
+        const data = line.slice(5).trim();
+        if (data === "[DONE]") return;
+        yield JSON.parse(data);
+      }
+    }
+  } finally {
+    stream.destroy?.();
+  }
+}
+
+registerProvider("stt", "openai", {
+  async transcribe(wav, { language, signal } = {}) {
+    const FormData = require("form-data");
+    const form = new FormData();
+    form.append("file", wav, { filename: "audio.wav", contentType: "audio/wav" });
+    form.append("model", "whisper-1");
+    if (language) form.append("language", language);
+
+    const r = await providerPOST(
+      "https://api.openai.com/v1/audio/transcriptions",
+      form,
+      { Authorization: `Bearer ${OPENAI_API_KEY}`, ...form.getHeaders() },
+      PROVIDER_TIMEOUT_MS.stt,
+      { signal }
+    );
+
+    return r.data?.text || "";
+  },
+});
+
+registerProvider("llm", "chatgpt", {
+  async complete(system, messages, { model = "gpt-4o-mini", signal } = {}) {
+    const r = await providerPOST(
+      "https://api.openai.com/v1/chat/completions",
+      {
+        model,
+        messages: system ? [{ role: "system", content: system }, ...messages] : messages,
+      },
+      { Authorization: `Bearer ${OPENAI_API_KEY}` },
+      PROVIDER_TIMEOUT_MS.llm,
+      { signal }
+    );
+
+    const text = r.data?.choices?.[0]?.message?.content;
+    if (!text) throw new Error("empty chat completion");
+    return text;
+  },
+
+  async *stream(system, messages, { model = "gpt-4o-mini", signal } = {}) {
+    const r = await providerPOST(
+      "https://api.openai.com/v1/chat/completions",
+      {
+        model,
+        stream: true,
+        messages: system ? [{ role: "system", content: system }, ...messages] : messages,
+      },
+      { Authorization: `Bearer ${OPENAI_API_KEY}` },
+      PROVIDER_TIMEOUT_MS.llm,
+      { responseType: "stream", signal }
+    );
+
+    for await (const ev of sseEvents(r.data)) {
+      const delta = ev.choices?.[0]?.delta?.content;
+      if (delta) yield delta;
+    }
+  },
+});
+
+function geminiBody(system, messages) {
+  // Gemini wants the conversation to open with a user turn (greetings don't)
+  const contents = messages.map((m) => ({
+    role: m.role === "assistant" ? "model" : "user",
+    parts: [{ text: m.content }],
+  }));
+  if (contents[0]?.role === "model") contents.unshift({ role: "user", parts: [{ text: "(call connected)" }] });
+
+  return {
+    ...(system && { systemInstruction: { parts: [{ text: system }] } }),
+    contents,
+  };
+}
+
+registerProvider("llm", "gemini", {
+  async complete(system, messages, { model = "gemini-2.0-flash", signal } = {}) {
+    const r = await providerPOST(
+      `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent?key=${GOOGLE_API_KEY}`,
+      geminiBody(system, messages),
+      { "Content-Type": "application/json" },
+      PROVIDER_TIMEOUT_MS.llm,
+      { signal }
+    );
+
+    const text = r.data?.candidates?.[0]?.content?.parts?.[0]?.text;
+    if (!text) throw new Error("empty Gemini response");
+    return text;
+  },
+
+  async *stream(system, messages, { model = "gemini-2.0-flash", signal } = {}) {
+    const r = await providerPOST(
+      `https://generativelanguage.googleapis.com/v1beta/models/${model}:streamGenerateContent?alt=sse&key=${GOOGLE_API_KEY}`,
+      geminiBody(system, messages),
+      { "Content-Type": "application/json" },
+      PROVIDER_TIMEOUT_MS.llm,
+      { responseType: "stream", signal }
+    );
+
+    for await (const ev of sseEvents(r.data)) {
+      const delta = ev.candidates?.[0]?.content?.parts?.[0]?.text;
+      if (delta) yield delta;
+    }
+  },
+});
+
+// Last link of an LLM chain: never fails, so the caller always hears something
+registerProvider("llm", "canned", {
+  canned: true,
+  async complete(system, messages, { persona } = {}) {
+    return persona?.fallbackReply || "Sorry, I'm having trouble right now. Could you say that again?";
+  },
+});
+
+const OPENAI_TTS_RATE = 24000;
+
+registerProvider("tts", "openai", {
+  async synthesize(text, { voice = "alloy", signal } = {}) {
+    const r = await providerPOST(
+      "https://api.openai.com/v1/audio/speech",
+      {
+        model: "gpt-4o-mini-tts",
+        voice,
+        response_format: "pcm", // raw 24 kHz 16-bit mono
+        input: text,
+      },
+      { Authorization: `Bearer ${OPENAI_API_KEY}` },
+      PROVIDER_TIMEOUT_MS.tts,
+      { responseType: "arraybuffer", signal }
+    );
+
+    if (!r.data?.byteLength) throw new Error("empty speech response");
+    return { pcm: new Int16Array(r.data, 0, r.data.byteLength >> 1), sampleRate: OPENAI_TTS_RATE };
+  },
+
+  async *synthesizeStream(text, { voice = "alloy", signal } = {}) {
+    const r = await providerPOST(
+      "https://api.openai.com/v1/audio/speech",
+      {
+        model: "gpt-4o-mini-tts",
+        voice,
+        response_format: "pcm",
+        input: text,
+      },
+      { Authorization: `Bearer ${OPENAI_API_KEY}` },
+      PROVIDER_TIMEOUT_MS.tts,
+      { responseType: "stream", signal }
+    );
+
+    // Network chunks can split a sample; carry the odd byte over
+    let carry = Buffer.alloc(0);
+    try {
+      for await (const chunk of r.data) {
+        const buf = Buffer.concat([carry, chunk]);
+        const even = buf.length & ~1;
+        carry = buf.subarray(even);
+        if (!even) continue;
+        const pcm = new Int16Array(even / 2);
+        Buffer.from(pcm.buffer).set(buf.subarray(0, even));
+        yield { pcm, sampleRate: OPENAI_TTS_RATE };
+      }
+    } finally {
+      r.data.destroy?.();
+    }
+  },
+});
+
+// ================== CIRCUIT BREAKERS ==================
+// One breaker per kind:name. It opens when the error rate over the last
+// BREAKER_WINDOW_MS reaches BREAKER_ERROR_RATE (with at least
+// BREAKER_MIN_CALLS results), skips the provider for BREAKER_COOLDOWN_MS, then
+// lets a single trial call through (half_open) to decide whether to close.
+const BREAKER_WINDOW_MS = Number(process.env.BREAKER_WINDOW_MS || 60000);
+const BREAKER_ERROR_RATE = Number(process.env.BREAKER_ERROR_RATE || 0.5);
+const BREAKER_MIN_CALLS = Number(process.env.BREAKER_MIN_CALLS || 5);
+const BREAKER_COOLDOWN_MS = Number(process.env.BREAKER_COOLDOWN_MS || 30000);
+
+const breakers = new Map();
+
+function getBreaker(kind, name) {
+  const key = `${kind}:${name}`;
+  if (!breakers.has(key)) {
+    breakers.set(key, { key, state: "closed", results: [], openedAt: 0, trial: false, calls: 0, failures: 0 });
+  }
+  return breakers.get(key);
+}
+
+function breakerAllows(b) {
+  if (b.state === "closed") return true;
+  if (b.state === "open" && Date.now() - b.openedAt >= BREAKER_COOLDOWN_MS) {
+    b.state = "half_open";
+    b.trial = false;
+  }
+  if (b.state === "half_open" && !b.trial) {
+    b.trial = true;
+    return true;
+  }
+  return false;
+}
+
+function breakerRecord(b, ok) {
+  const now = Date.now();
+  b.calls++;
+  if (!ok) b.failures++;
+  b.results.push({ at: now, ok });
+  while (b.results.length && now - b.results[0].at > BREAKER_WINDOW_MS) b.results.shift();
+
+  if (b.state === "half_open") {
+    b.trial = false;
+    if (ok) {
+      b.state = "closed";
+      b.results = [];
+      console.log(`🟢 Circuit closed → ${b.key}`);
+    } else {
+      b.state = "open";
+      b.openedAt = now;
+      console.log(`🔴 Circuit re-opened → ${b.key}`);
+    }
+    return;
+  }
+
+  if (b.state === "closed" && b.results.length >= BREAKER_MIN_CALLS && breakerErrorRate(b) >= BREAKER_ERROR_RATE) {
+    b.state = "open";
+    b.openedAt = now;
+    console.log(`🔴 Circuit opened → ${b.key} (${Math.round(breakerErrorRate(b) * 100)}% errors)`);
+  }
+}
+
+// An attempt abandoned by its caller (barge-in) says nothing about the
+// provider; a half-open breaker gets its trial back for the next request
+function breakerRelease(b) {
+  if (b.state === "half_open") b.trial = false;
+}
+
+function breakerErrorRate(b) {
+  if (!b.results.length) return 0;
+  return b.results.filter((r) => !r.ok).length / b.results.length;
+}
+
+// Rejects after ms and aborts `controller`, so the request behind the
+// promise is cancelled instead of running on after the chain gave up on it
+function withTimeout(promise, ms, label, controller) {
+  let timer;
+  return Promise.race([
+    promise,
+    new Promise((_, reject) => {
+      timer = setTimeout(() => {
+        controller?.abort();
+        reject(new Error(`${label} timed out after ${ms}ms`));
+      }, ms);
+    }),
+  ]).finally(() => clearTimeout(timer));
+}
+
+// One controller per provider attempt; it also aborts with the caller's signal
+function attemptController(signal) {
+  const controller = new AbortController();
+  if (signal?.aborted) controller.abort();
+  else signal?.addEventListener("abort", () => controller.abort(), { once: true });
+  return controller;
+}
+
+// Tries each provider of the chain in order, skipping open circuits.
+// fn(adapter, name, signal) gets a signal that fires if the attempt times out.
+// Throws only when every provider failed or was skipped.
+async function runChain(kind, chain, fn, onUsage) {
+  for (const name of chain) {
+    const adapter = getProvider(kind, name);
+    const b = getBreaker(kind, name);
+    if (!breakerAllows(b)) continue;
+
+    const startedAt = Date.now();
+    const attempt = new AbortController();
+    try {
+      const result = await withTimeout(fn(adapter, name, attempt.signal), PROVIDER_TIMEOUT_MS[kind], `${kind}:${name}`, attempt);
+      breakerRecord(b, true);
+      onUsage?.({ kind, provider: name, ok: true, latencyMs: Date.now() - startedAt });
+      return result;
+    } catch (e) {
+      console.error(`PROVIDER ERROR ${kind}:${name} →`, e.response?.data || e.message);
+      breakerRecord(b, false);
+      onUsage?.({ kind, provider: name, ok: false, latencyMs: Date.now() - startedAt });
+    }
+  }
+  throw new Error(`All ${kind} providers failed (${chain.join(" → ")})`);
+}
+
+// Streaming counterpart of runChain. Failover only happens before the first
+// item arrives; a provider that breaks mid-stream just ends the stream.
+// Providers without the streaming method fall back to their one-shot call.
+// open(adapter, name, signal) gets a signal that fires if the attempt times
+// out or the caller's signal aborts. An aborted caller signal ends the stream
+// quietly: no failover, no breaker failure.
+async function* streamChain(kind, chain, open, onUsage, signal) {
+  const timeout = PROVIDER_TIMEOUT_MS[kind];
+  for (const name of chain) {
+    if (signal?.aborted) return;
+    const adapter = getProvider(kind, name);
+    const b = getBreaker(kind, name);
+    if (!breakerAllows(b)) continue;
+
+    const startedAt = Date.now();
+    const attempt = attemptController(signal);
+    let it;
+    let first;
+    try {
+      it = open(adapter, name, attempt.signal)[Symbol.asyncIterator]();
+      first = await withTimeout(it.next(), timeout, `${kind}:${name}`, attempt);
+    } catch (e) {
+      if (signal?.aborted) {
+        breakerRelease(b);
+        return closeIterator(it);
+      }
+      console.error(`PROVIDER ERROR ${kind}:${name} →`, e.response?.data || e.message);
+      breakerRecord(b, false);
+      onUsage?.({ kind, provider: name, ok: false, latencyMs: Date.now() - startedAt });
+      closeIterator(it);
+      continue;
+    }
+    breakerRecord(b, true);
+    onUsage?.({ kind, provider: name, ok: true, latencyMs: Date.now() - startedAt }); // time to first item
+
+    try {
+      for (let n = first; !n.done; n = await withTimeout(it.next(), timeout, `${kind}:${name}`, attempt)) {
+        yield n.value;
+      }
+    } catch (e) {
+      if (!signal?.aborted) {
+        console.error(`PROVIDER STREAM ERROR ${kind}:${name} →`, e.message);
+        breakerRecord(b, false);
+      }
+    } finally {
+      closeIterator(it);
+    }
+    return;
+  }
+  throw new Error(`All ${kind} providers failed (${chain.join(" → ")})`);
+}
+
+async function* once(promise) {
+  yield await promise;
+}
+
+function closeIterator(it) {
+  Promise.resolve(it?.return?.()).catch(() => {});
+}
+
+function describeBreakers() {
+  return [...breakers.values()].map((b) => ({
+    provider: b.key,
+    state: b.state,
+    errorRate: breakerErrorRate(b),
+    windowCalls: b.results.length,
+    calls: b.calls,
+    failures: b.failures,
+  }));
+}
+
+// ================== PERSONAS ==================
+// PERSONAS_FILE is a JSON object keyed by phone_number_id. A "default" entry
+// applies to every number; per-number entries override it field by field.
+const PERSONAS_FILE = process.env.PERSONAS_FILE || "personas.json";
+
+const BASE_PERSONA = {
+  name: "default",
+  systemPrompt: "You are a helpful voice assistant on a phone call. Keep answers short and conversational.",
+  greeting: "",
+  voice: "alloy",
+  language: "",
+  // Provider fallback chains, tried in order
+  stt: chainFromEnv("STT_CHAIN", "openai"),
+  llm: chainFromEnv("LLM_CHAIN", `${AI_MODEL},canned`),
+  tts: chainFromEnv("TTS_CHAIN", "openai"),
+  models: {}, // optional model override per llm provider, e.g. { "chatgpt": "gpt-4o" }
+  fallbackReply: "",
+  record: process.env.RECORD_CALLS === "true", // stereo WAV of the call, see CALL RECORDING
+  holdMusic: process.env.HOLD_MUSIC_FILE || "", // WAV looped while the bot is thinking, see HOLD MUSIC
+  // { announcement, optOutPhrases, optOutDigit, optOutReply, windowSec }, see CONSENT
+  consent: process.env.CONSENT_ANNOUNCEMENT ? { announcement: process.env.CONSENT_ANNOUNCEMENT } : null,
+};
+
+function chainFromEnv(key, fallback) {
+  return (process.env[key] || fallback).split(",").map((s) => s.trim()).filter(Boolean);
+}
+
+function loadPersonas(file) {
+  if (!fs.existsSync(file)) {
+    console.log(`ℹ️ No ${file}, using the default persona for every number`);
+    return {};
+  }
+  const personas = JSON.parse(fs.readFileSync(file, "utf8"));
+  console.log(`🎭 Loaded personas for: ${Object.keys(personas).join(", ")}`);
+  return personas;
+}
+
+const personas = loadPersonas(PERSONAS_FILE);
+
+function getPersona(phoneNumberId) {
+  const persona = { ...BASE_PERSONA, ...personas.default, ...personas[phoneNumberId] };
+  // A single provider name is a one-link chain
+  for (const kind of ["stt", "llm", "tts"]) persona[kind] = [].concat(persona[kind]);
+  return persona;
+}
+
+// Throws on a persona naming an unregistered provider. Runs at startup, not
+// at require time, so tests can register fake providers first.
+function validatePersonas() {
+  for (const id of ["default", ...Object.keys(personas)]) {
+    const p = getPersona(id);
+    for (const kind of ["stt", "llm", "tts"]) p[kind].forEach((name) => getProvider(kind, name));
+    if (p.llm.includes("gemini") && !GOOGLE_API_KEY) throw new Error("GOOGLE_API_KEY missing");
+  }
+}
 
 const calls = new Map();
 
@@ -50,6 +525,350 @@ async function safePOST(url, body, headers) {
   }
 }
 
+// ================== METRICS ==================
+// Prometheus text format on GET /metrics. Counters and gauges live in one
+// map keyed by name + labels; collectors refresh gauges at scrape time.
+const metricHelp = new Map(); // name → { type, help }
+const metricValues = new Map(); // series key → { name, labels, value }
+const metricCollectors = [];
+
+function defineMetric(name, type, help) {
+  metricHelp.set(name, { type, help });
+}
+
+function metricSeries(name, labels) {
+  const key = name + JSON.stringify(labels);
+  if (!metricValues.has(key)) metricValues.set(key, { name, labels, value: 0 });
+  return metricValues.get(key);
+}
+
+function incCounter(name, labels = {}, by = 1) {
+  metricSeries(name, labels).value += by;
+}
+
+function setGauge(name, labels = {}, value) {
+  metricSeries(name, labels).value = value;
+}
+
+function renderMetrics() {
+  metricCollectors.forEach((collect) => collect());
+
+  const lines = [];
+  for (const [name, { type, help }] of metricHelp) {
+    lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+    for (const m of metricValues.values()) {
+      if (m.name !== name) continue;
+      const labels = Object.entries(m.labels)
+        .map(([k, v]) => `${k}="${String(v).replace(/[\\"]/g, "\\$&").replace(/\n/g, "\\n")}"`)
+        .join(",");
+      lines.push(`${name}${labels ? `{${labels}}` : ""} ${m.value}`);
+    }
+  }
+  return lines.join("\n") + "\n";
+}
+
+defineMetric("webhook_signature_verified_total", "counter", "Webhook requests with a valid X-Hub-Signature-256, by secret index (0 = current)");
+defineMetric("webhook_signature_rejected_total", "counter", "Webhook requests rejected by signature verification, by reason");
+defineMetric("active_calls", "gauge", "Calls currently in the calls map");
+metricCollectors.push(() => setGauge("active_calls", {}, calls.size));
+
+// ============= WEBHOOK SIGNATURE =============
+// Meta signs every webhook with HMAC-SHA256 of the raw body using the app
+// secret. webhookBody keeps the body as bytes; verifyWebhookSignature checks
+// them and only then parses the JSON into req.body, so unsigned or mismatched
+// requests never reach a handler in parsed form.
+const webhookBody = bodyParser.raw({ type: () => true, limit: "50mb" });
+
+function verifyWebhookSignature(req, res, next) {
+  const raw = req.body;
+  req.body = undefined;
+  const header = req.get("x-hub-signature-256") || "";
+  if (!header.startsWith("sha256=")) return rejectWebhook(res, 401, "missing");
+  if (!Buffer.isBuffer(raw) || !raw.length) return rejectWebhook(res, 400, "no_body");
+
+  const given = Buffer.from(header.slice(7), "hex");
+  const index = META_APP_SECRETS.findIndex((secret) => {
+    const expected = crypto.createHmac("sha256", secret).update(raw).digest();
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+  });
+  if (index < 0) return rejectWebhook(res, 403, "invalid");
+
+  incCounter("webhook_signature_verified_total", { secret_index: index });
+  try {
+    req.body = JSON.parse(raw.toString("utf8"));
+  } catch (e) {
+    console.warn("⚠️ Signed webhook body is not JSON →", e.message);
+    return res.sendStatus(400);
+  }
+  next();
+}
+
+function rejectWebhook(res, status, reason) {
+  incCounter("webhook_signature_rejected_total", { reason });
+  console.warn(`🚫 Webhook rejected (${reason})`);
+  res.sendStatus(status);
+}
+
+// ============= WEBHOOK DE-DUPLICATION =============
+// Meta retries deliveries, so every parsed event is claimed once by its key
+// (callId:event:timestamp for call events) before it runs; repeats are
+// acknowledged and skipped.
+// Ended calls leave a tombstone so late or replayed events for them (a retried
+// connect, ICE after terminate) are ignored instead of reviving the call.
+const WEBHOOK_DEDUP_TTL_MS = Number(process.env.WEBHOOK_DEDUP_TTL_MS || 10 * 60 * 1000);
+const ENDED_CALL_TTL_MS = Number(process.env.ENDED_CALL_TTL_MS || 60 * 60 * 1000);
+
+// Map with per-entry expiry; insertion order doubles as expiry order
+function createTtlStore(ttlMs, maxSize = 50000) {
+  const entries = new Map(); // key → { value, expiresAt }
+
+  function prune() {
+    const now = Date.now();
+    for (const [key, e] of entries) {
+      if (e.expiresAt > now && entries.size <= maxSize) break;
+      entries.delete(key);
+    }
+  }
+
+  return {
+    get(key) {
+      const e = entries.get(key);
+      if (!e) return undefined;
+      if (e.expiresAt <= Date.now()) {
+        entries.delete(key);
+        return undefined;
+      }
+      return e.value;
+    },
+    has(key) {
+      return this.get(key) !== undefined;
+    },
+    set(key, value = true) {
+      entries.delete(key);
+      entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+      prune();
+    },
+    get size() {
+      return entries.size;
+    },
+  };
+}
+
+const seenWebhookEvents = createTtlStore(WEBHOOK_DEDUP_TTL_MS);
+const endedCalls = createTtlStore(ENDED_CALL_TTL_MS);
+
+defineMetric("webhook_events_total", "counter", "Webhook events by event type and outcome");
+
+// Events that still make sense once a call has ended
+const AFTER_END_TYPES = ["call.terminate", "call.status", "error"];
+
+// True if this delivery should be executed
+function claimWebhookEvent(ev) {
+  const { type, callId, key } = ev;
+  if (seenWebhookEvents.has(key)) {
+    incCounter("webhook_events_total", { event: type, result: "duplicate" });
+    console.log(`♻️ Duplicate ${type} ignored →`, callId || key);
+    return false;
+  }
+  seenWebhookEvents.set(key);
+
+  if (callId && endedCalls.has(callId) && !AFTER_END_TYPES.includes(type)) {
+    incCounter("webhook_events_total", { event: type, result: "after_end" });
+    console.log(`🪦 ${type} for ended call ignored →`, callId);
+    return false;
+  }
+
+  incCounter("webhook_events_total", { event: type, result: "processed" });
+  return true;
+}
+
+// ============= WEBHOOK EVENT PARSER =============
+// Turns a webhook body into flat typed events:
+//   call.connect           { callId, from, to, direction, sdpType, sdp }
+//   call.ice_candidate     { callId, ice }
+//   call.terminate         { callId, status, duration, startTime, endTime }
+//   call.status            { callId, status: ringing|accepted|rejected|completed|failed, recipientId }
+//   call.permission_reply  { from, response: accept|reject, permanent, expiresAt, source }
+//   message                { from, messageId, messageType }   (other inbound messages)
+//   message.status         { messageId, status, recipientId }
+//   error                  { callId?, code, title, message, details }
+//   unknown                { field, payload }
+// Every event also carries phoneNumberId, timestamp, key (for de-duplication)
+// and raw. Subscribe with webhookEvents.on(type, fn) or on("*", fn); listeners
+// may be async and run one after another in delivery order.
+const webhookEvents = new EventEmitter();
+const UNKNOWN_WEBHOOKS_MAX = 100;
+const unknownWebhooks = []; // most recent unrecognized shapes, for /debug/webhooks/unknown
+
+function hashKey(obj) {
+  return crypto.createHash("sha1").update(JSON.stringify(obj)).digest("hex");
+}
+
+function parseWebhook(body) {
+  const events = [];
+  for (const ent of body?.entry || []) {
+    for (const ch of ent.changes || []) {
+      const val = ch.value || {};
+      const base = { phoneNumberId: val.metadata?.phone_number_id };
+      const push = (ev) => events.push({ ...base, ...ev });
+      let recognized = false;
+
+      for (const c of val.calls || []) {
+        recognized = true;
+        push(parseCallEvent(c));
+        for (const err of c.errors || []) push(parseError(err, c.id));
+      }
+      for (const st of val.statuses || []) {
+        recognized = true;
+        push(parseStatus(st));
+        for (const err of st.errors || []) push(parseError(err, st.type === "call" ? st.id : undefined));
+      }
+      for (const msg of val.messages || []) {
+        recognized = true;
+        push(parseMessage(msg));
+      }
+      for (const err of val.errors || []) {
+        recognized = true;
+        push(parseError(err));
+      }
+
+      if (!recognized) push(unknownEvent(ch.field, val));
+    }
+  }
+  return events;
+}
+
+function parseCallEvent(c) {
+  const callId = c.id;
+  const event = (c.event || "").toLowerCase();
+  const common = { callId, timestamp: c.timestamp, raw: c };
+  const key = `${callId}:${event}:${c.timestamp ?? hashKey(c)}`;
+
+  if (event === "connect" && c.session?.sdp) {
+    return {
+      ...common,
+      type: "call.connect",
+      key,
+      from: c.from,
+      to: c.to,
+      direction: c.direction,
+      sdpType: c.session.sdp_type || "offer",
+      sdp: c.session.sdp,
+    };
+  }
+  if (event === "ice_candidate") {
+    // Trickled candidates can share a timestamp, so they also key on the candidate
+    return { ...common, type: "call.ice_candidate", key: `${key}:${JSON.stringify(c.ice)}`, ice: c.ice };
+  }
+  if (event === "terminate" || event === "end") {
+    return {
+      ...common,
+      type: "call.terminate",
+      key,
+      status: (c.status || "").toLowerCase() || undefined,
+      duration: c.duration,
+      startTime: c.start_time,
+      endTime: c.end_time,
+    };
+  }
+  return unknownEvent("calls", c, callId);
+}
+
+function parseStatus(st) {
+  const status = (st.status || "").toLowerCase();
+  const common = { timestamp: st.timestamp, raw: st, key: `status:${st.id}:${status}:${st.timestamp}` };
+
+  if (st.type === "call") {
+    return { ...common, type: "call.status", callId: st.id, status, recipientId: st.recipient_id };
+  }
+  return { ...common, type: "message.status", messageId: st.id, status, recipientId: st.recipient_id };
+}
+
+function parseMessage(msg) {
+  const common = { timestamp: msg.timestamp, raw: msg, key: `message:${msg.id}`, from: msg.from };
+  const reply = msg.interactive?.call_permission_reply;
+
+  if (msg.type === "interactive" && msg.interactive?.type === "call_permission_reply" && reply) {
+    return {
+      ...common,
+      type: "call.permission_reply",
+      response: (reply.response || "").toLowerCase(),
+      permanent: !!reply.is_permanent,
+      expiresAt: reply.expiration_timestamp ? Number(reply.expiration_timestamp) * 1000 : null,
+      source: reply.response_source,
+    };
+  }
+  return { ...common, type: "message", messageId: msg.id, messageType: msg.type };
+}
+
+function parseError(err, callId) {
+  return {
+    type: "error",
+    callId,
+    key: `error:${callId || ""}:${hashKey(err)}`,
+    code: err.code,
+    title: err.title,
+    message: err.message,
+    details: err.error_data?.details,
+    raw: err,
+  };
+}
+
+// Keys and value types only: enough to write a parser for the new shape
+// without keeping phone numbers or message text around. type/event values
+// are kept because they tell shapes apart.
+function webhookShape(value, key, depth = 0) {
+  if (Array.isArray(value)) return value.length ? [webhookShape(value[0], key, depth)] : [];
+  if (value && typeof value === "object") {
+    if (depth >= 6) return "object";
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, webhookShape(v, k, depth + 1)]));
+  }
+  if ((key === "type" || key === "event") && typeof value === "string") return value;
+  return value === null ? "null" : typeof value;
+}
+
+function unknownEvent(field, payload, callId) {
+  unknownWebhooks.push({ at: new Date().toISOString(), field, shape: webhookShape(payload) });
+  if (unknownWebhooks.length > UNKNOWN_WEBHOOKS_MAX) unknownWebhooks.shift();
+  return { type: "unknown", callId, field, payload, key: `unknown:${hashKey(payload)}`, raw: payload };
+}
+
+async function dispatchWebhookEvent(ev) {
+  for (const listener of [...webhookEvents.listeners(ev.type), ...webhookEvents.listeners("*")]) {
+    try {
+      await listener(ev);
+    } catch (e) {
+      console.error(`WEBHOOK HANDLER ERROR (${ev.type}) →`, e);
+    }
+  }
+}
+
+webhookEvents.on("call.connect", (ev) =>
+  ev.sdpType === "answer" ? handleAnswer(ev.callId, ev.sdp) : handleOffer(ev.callId, ev.sdp, ev.phoneNumberId, ev.from)
+);
+webhookEvents.on("call.ice_candidate", (ev) => handleRemoteIce(ev.callId, ev.ice));
+webhookEvents.on("call.terminate", (ev) => {
+  console.log(`📴 Call ended by WhatsApp (${ev.status || "no status"}) →`, ev.callId);
+  cleanup(ev.callId, `whatsapp_${ev.status || "terminate"}`);
+});
+webhookEvents.on("call.status", (ev) => {
+  console.log(`📶 Call status ${ev.status} →`, ev.callId);
+  const state = calls.get(ev.callId);
+  if (!state) return;
+  state.callStatus = ev.status;
+  if (state.direction === "outbound" && ["rejected", "failed"].includes(ev.status)) cleanup(ev.callId, `outbound_${ev.status}`);
+});
+webhookEvents.on("call.permission_reply", (ev) => {
+  console.log(`🔐 Call permission ${ev.response} from`, ev.from);
+  recordPermissionReply(ev);
+});
+webhookEvents.on("error", (ev) => {
+  console.error(`WHATSAPP ERROR ${ev.code} (${ev.title}) →`, ev.message || ev.details || "", ev.callId || "");
+});
+webhookEvents.on("unknown", (ev) => {
+  console.warn("❓ Unrecognized webhook shape →", ev.field, JSON.stringify(webhookShape(ev.payload)).slice(0, 300));
+});
+
 // ============= VERIFY WEBHOOK =============
 app.get("/webhook", (req, res) => {
   try {
@@ -63,257 +882,2378 @@ app.get("/webhook", (req, res) => {
   } catch {
     res.sendStatus(200);
   }
-});
+});
+
+// =============== WEBHOOK EVENTS ===============
+app.post("/webhook", webhookBody, verifyWebhookSignature, async (req, res) => {
+  (async () => {
+    try {
+      for (const ev of parseWebhook(req.body)) {
+        if (claimWebhookEvent(ev)) await dispatchWebhookEvent(ev);
+      }
+    } catch (e) {
+      console.error("WEBHOOK ERROR →", e);
+    }
+  })();
+
+  res.send("OK");
+});
+
+// =====================================================
+//                      HANDLE CALL OFFER
+// =====================================================
+async function handleOffer(callId, offerSDP, phoneNumberId, from) {
+  console.log("📞 Call incoming →", callId);
+
+  // A second connect for a live call is a redelivery, not a new call
+  if (calls.has(callId)) {
+    console.log("ℹ️ Call already active, ignoring connect →", callId);
+    return;
+  }
+
+  if (atCallLimit()) {
+    const now = Date.now();
+    storeWrite("startCall", { callId, phoneNumberId, waId: from, direction: "inbound", persona: getPersona(phoneNumberId).name, startedAt: now });
+    storeWrite("endCall", callId, { endedAt: now, durationMs: 0, endReason: "busy" });
+    await rejectCall(phoneNumberId, callId, "busy");
+    return;
+  }
+
+  const state = createCallState(callId, phoneNumberId, { waId: from || null });
+  calls.set(callId, state);
+  recordCallStart(state);
+
+  try {
+    const pc = createCallPeer(state);
+
+    await pc.setRemoteDescription({ type: "offer", sdp: offerSDP });
+    state.remoteDescriptionSet = true;
+    await flushRemoteIce(state);
+
+    const answer = await pc.createAnswer();
+    await pc.setLocalDescription(answer);
+
+    await waitICE(pc);
+    if (calls.get(callId) !== state) return; // ended while gathering
+
+    // Accept call
+    const session = { sdp_type: "answer", sdp: pc.localDescription.sdp };
+    if (!(await postCall(phoneNumberId, { messaging_product: "whatsapp", call_id: callId, action: "pre_accept", session }))) {
+      throw new Error("pre_accept failed");
+    }
+    if (!(await postCall(phoneNumberId, { messaging_product: "whatsapp", call_id: callId, action: "accept", session }))) {
+      throw new Error("accept failed");
+    }
+
+    console.log("✨ Call Accepted");
+    startConversation(state);
+  } catch (e) {
+    console.error("❌ Peer Connection Error:", e);
+    // Never answered, so decline it instead of leaving the caller ringing
+    if (calls.get(callId) !== state) return;
+    cleanup(callId, "setup_failed");
+    rejectCall(phoneNumberId, callId, "setup_failed");
+  }
+}
+
+function createCallState(callId, phoneNumberId, extra = {}) {
+  return {
+    callId,
+    phoneNumberId,
+    direction: "inbound",
+    waId: null,
+    startedAt: Date.now(),
+    persona: getPersona(phoneNumberId),
+    pc: null,
+    remoteDescriptionSet: false,
+    remoteIce: callId ? takePendingIce(callId) : [],
+    turnState: "listening",
+    turnStateAt: Date.now(),
+    turnQueue: [],
+    turnBusy: false,
+    turns: 0,
+    history: [],
+    playback: null,
+    ttfaMs: [],
+    ...extra,
+  };
+}
+
+// New peer connection with our outgoing track, and caller audio wired into
+// the VAD. Closures read state.callId, which outbound calls only learn later.
+function createCallPeer(state) {
+  const pc = new RTCPeerConnection({
+    iceServers: iceServers(state.callId),
+    iceTransportPolicy: ICE_TRANSPORT_POLICY,
+  });
+  state.pc = pc;
+  state.remoteDescriptionSet = false;
+
+  state.audioSrc = new nonstandard.RTCAudioSource();
+  pc.addTrack(state.audioSrc.createTrack());
+
+  // ---------------------------
+  // CALLER AUDIO → VAD → UTTERANCES
+  // ---------------------------
+  const vad = createVad({
+    onUtterance: (frames) => enqueueTurn(state.callId, frames),
+    onSpeechStart: () => bargeIn(state.callId),
+  });
+
+  pc.ontrack = (e) => {
+    if (e.track.kind !== "audio") return;
+    state.sink?.stop?.();
+    state.sink = new nonstandard.RTCAudioSink(e.track);
+    const toCallFormat = createInputConverter();
+    state.sink.ondata = (frame) => {
+      const samples = toCallFormat(frame);
+      state.recorder?.push(0, samples);
+      state.dtmf?.push(samples);
+      vad.push(samples, CALL_SAMPLE_RATE);
+    };
+  };
+
+  // Outbound offers carry their initial candidates in the SDP (no call id
+  // yet); later ones are trickled
+  pc.onicecandidate = (e) => {
+    if (e.candidate && state.callId) sendLocalIce(state.callId, state.phoneNumberId, e.candidate);
+  };
+  pc.onconnectionstatechange = () => watchConnection(state, pc);
+
+  return pc;
+}
+
+// Once media flows: start the playout scheduler and greet (first time only)
+function startConversation(state) {
+  state.answeredAt ||= Date.now();
+
+  // The scheduler keeps frames flowing (comfort noise) between replies
+  state.playout?.stop();
+  state.playout = createPlayout(state.audioSrc, (frame) => state.recorder?.push(1, frame));
+
+  startQualityStats(state);
+  if (state.persona.record && !state.recorder && retainsCallData(state)) startRecording(state);
+
+  if (MAX_CALL_DURATION_SEC && !state.durationTimer) {
+    state.durationTimer = setTimeout(() => terminateCall(state.callId, "max_duration"), MAX_CALL_DURATION_SEC * 1000);
+  }
+
+  if (!state.greeted) {
+    state.greeted = true;
+    if (state.persona.consent?.announcement) {
+      announceConsent(state).then(() => calls.get(state.callId) === state && playGreeting(state));
+    } else {
+      playGreeting(state);
+    }
+  }
+}
+
+// =====================================================
+//                  OUTBOUND CALLS
+// =====================================================
+// POST /calls offers a session to a WhatsApp user via the connect action.
+// The user's answer SDP comes back as a connect webhook with sdp_type
+// "answer" (possibly before the Graph API response), then the call runs the
+// same pipeline as inbound ones.
+const CALLS_API_KEY = process.env.CALLS_API_KEY;
+const OUTBOUND_RING_TIMEOUT_MS = Number(process.env.OUTBOUND_RING_TIMEOUT_MS || 60000);
+
+const earlyAnswers = createTtlStore(60000); // callId → answer SDP that beat the Graph API response
+
+// Bearer-token guard; the endpoint is disabled while its key is unset
+function requireApiKey(key) {
+  return (req, res, next) => {
+    if (!key) return res.status(503).json({ error: "disabled", message: "API key not configured" });
+    const given = Buffer.from((req.get("authorization") || "").replace(/^Bearer\s+/i, ""));
+    const expected = Buffer.from(key);
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+      return res.status(401).json({ error: "unauthorized" });
+    }
+    next();
+  };
+}
+
+async function placeCall({ phoneNumberId, to, greeting, context }) {
+  // Per-call overrides go on a copy; the persona itself is shared config
+  const base = getPersona(phoneNumberId);
+  const persona = {
+    ...base,
+    greeting: greeting !== undefined ? greeting : base.greeting,
+    systemPrompt: context ? `${base.systemPrompt}\n\nContext for this call: ${context}` : base.systemPrompt,
+  };
+
+  const state = createCallState(null, phoneNumberId, { direction: "outbound", waId: waId(to), to, persona, answered: false });
+  const pc = createCallPeer(state);
+
+  // Nothing is registered in calls yet, so a failure here only has the peer to close
+  let callId;
+  try {
+    await pc.setLocalDescription(await pc.createOffer());
+    await waitICE(pc);
+
+    const r = await graphPOST(`${phoneNumberId}/calls`, {
+      messaging_product: "whatsapp",
+      to,
+      action: "connect",
+      session: { sdp_type: "offer", sdp: pc.localDescription.sdp },
+    });
+    callId = r.data?.calls?.[0]?.id;
+    if (!callId) throw new Error("Graph API returned no call id");
+  } catch (e) {
+    state.sink?.stop?.();
+    pc.close();
+    throw e;
+  }
+
+  state.callId = callId;
+  state.remoteIce = takePendingIce(callId);
+  calls.set(callId, state);
+  recordCallStart(state);
+  console.log(`📲 Calling ${to} →`, callId);
+
+  state.ringTimer = setTimeout(() => {
+    if (state.answered || calls.get(callId) !== state) return;
+    console.log("⌛ Outbound call not answered →", callId);
+    terminateCall(callId, "no_answer");
+  }, OUTBOUND_RING_TIMEOUT_MS);
+
+  const early = earlyAnswers.get(callId);
+  if (early) await handleAnswer(callId, early);
+
+  return state;
+}
+
+async function handleAnswer(callId, sdp) {
+  const state = calls.get(callId);
+  if (!state) {
+    earlyAnswers.set(callId, sdp);
+    return;
+  }
+  if (state.direction !== "outbound" || state.answered) {
+    console.warn("⚠️ Unexpected answer SDP →", callId);
+    return;
+  }
+
+  try {
+    await state.pc.setRemoteDescription({ type: "answer", sdp });
+  } catch (e) {
+    console.error("❌ Answer SDP rejected →", callId, e.message);
+    await terminateCall(callId, "setup_failed");
+    return;
+  }
+  if (calls.get(callId) !== state || state.answered) return; // ended or answered meanwhile
+
+  state.answered = true;
+  clearTimeout(state.ringTimer);
+  state.remoteDescriptionSet = true;
+  await flushRemoteIce(state);
+
+  console.log("✨ Outbound call answered →", callId);
+  startConversation(state);
+}
+
+app.post("/calls", requireApiKey(CALLS_API_KEY), async (req, res) => {
+  const { to, phone_number_id: phoneNumberId, greeting, context } = req.body || {};
+  if (!to || !phoneNumberId) {
+    return res.status(400).json({ error: "bad_request", message: "to and phone_number_id are required" });
+  }
+
+  const denied = checkCallPermission(phoneNumberId, to);
+  if (denied) return res.status(403).json(denied);
+  if (atCallLimit()) {
+    return res.status(503).json({ error: "at_capacity", message: `${calls.size} calls active (MAX_CONCURRENT_CALLS)` });
+  }
+
+  try {
+    const state = await placeCall({ phoneNumberId, to, greeting, context });
+    res.status(201).json({ call_id: state.callId, status: state.answered ? "answered" : "ringing" });
+  } catch (e) {
+    console.error("OUTBOUND CALL ERROR →", e.response?.data || e.message);
+    res.status(502).json({ error: "call_failed", message: e.message, details: e.response?.data?.error });
+  }
+});
+
+// =====================================================
+//                  CALL PERMISSIONS
+// =====================================================
+// A business may only call users who accepted a call permission request.
+// Replies arrive as call.permission_reply webhooks: temporary grants carry an
+// expiry, permanent ones don't. State is kept per business number + user in
+// memory for the checks and written through to the call store, from which
+// restoreCallPermissions() reloads it on startup.
+const CALL_PERMISSION_CHECK = process.env.CALL_PERMISSION_CHECK !== "false";
+const CALL_PERMISSION_REQUEST_TEXT =
+  process.env.CALL_PERMISSION_REQUEST_TEXT || "We'd like to call you about your request. Is that OK?";
+const CALL_PERMISSION_REQUEST_INTERVAL_MS = Number(process.env.CALL_PERMISSION_REQUEST_INTERVAL_MS || 86400000);
+
+const callPermissions = new Map(); // `${phoneNumberId}:${waId}` → { status, requestedAt, updatedAt, expiresAt, permanent, source }
+
+// "+1 (555) 010-0000" and "15550100000" are the same WhatsApp user
+const waId = (number) => String(number).replace(/\D/g, "");
+const permissionKey = (phoneNumberId, to) => `${phoneNumberId}:${waId(to)}`;
+
+function setCallPermission(phoneNumberId, to, p) {
+  callPermissions.set(permissionKey(phoneNumberId, to), p);
+  storeWrite("savePermission", phoneNumberId, waId(to), p);
+}
+
+// Entries changed since startup (e.g. a reply that beat the restore) win
+async function restoreCallPermissions() {
+  try {
+    await flushCallStore();
+    const stored = await getCallStore().listPermissions();
+    for (const { phoneNumberId, waId: user, ...p } of stored) {
+      const key = permissionKey(phoneNumberId, user);
+      if (!callPermissions.has(key)) callPermissions.set(key, p);
+    }
+    console.log(`🔐 Restored ${stored.length} call permission(s)`);
+  } catch (e) {
+    console.error("CALL PERMISSION RESTORE ERROR →", e.message);
+  }
+}
+
+function getCallPermission(phoneNumberId, to) {
+  const p = callPermissions.get(permissionKey(phoneNumberId, to));
+  if (!p) return { status: "none" };
+  if (p.status === "granted" && p.expiresAt && p.expiresAt <= Date.now()) return { ...p, status: "expired" };
+  return { ...p };
+}
+
+// null when a call may be placed, otherwise the 403 body explaining why not
+function checkCallPermission(phoneNumberId, to) {
+  if (!CALL_PERMISSION_CHECK) return null;
+  const p = getCallPermission(phoneNumberId, to);
+  const errors = {
+    none: ["permission_required", "User has not been asked for call permission; POST /call-permissions first"],
+    requested: ["permission_pending", "Call permission was requested but the user has not replied yet"],
+    denied: ["permission_denied", "User declined call permission"],
+    expired: ["permission_expired", "Call permission has expired; request it again"],
+  };
+  if (!errors[p.status]) return null;
+  const [error, message] = errors[p.status];
+  return { error, message, permission: p };
+}
+
+async function requestCallPermission(phoneNumberId, to, text = CALL_PERMISSION_REQUEST_TEXT) {
+  const key = permissionKey(phoneNumberId, to);
+  await graphPOST(`${phoneNumberId}/messages`, {
+    messaging_product: "whatsapp",
+    recipient_type: "individual",
+    to: waId(to),
+    type: "interactive",
+    interactive: {
+      type: "call_permission_request",
+      action: { name: "call_permission_request" },
+      body: { text },
+    },
+  });
+
+  const now = Date.now();
+  const p = { ...callPermissions.get(key), status: "requested", requestedAt: now, updatedAt: now };
+  setCallPermission(phoneNumberId, to, p);
+  console.log("🔐 Call permission requested →", waId(to));
+  return { ...p };
+}
+
+function recordPermissionReply(ev) {
+  if (!ev.phoneNumberId || !ev.from) return;
+  const key = permissionKey(ev.phoneNumberId, ev.from);
+  const granted = ev.response === "accept";
+  setCallPermission(ev.phoneNumberId, ev.from, {
+    ...callPermissions.get(key),
+    status: granted ? "granted" : "denied",
+    updatedAt: Date.now(),
+    expiresAt: granted && !ev.permanent ? ev.expiresAt : null,
+    permanent: ev.permanent,
+    source: ev.source,
+  });
+}
+
+app.post("/call-permissions", requireApiKey(CALLS_API_KEY), async (req, res) => {
+  const { to, phone_number_id: phoneNumberId, text } = req.body || {};
+  if (!to || !phoneNumberId) {
+    return res.status(400).json({ error: "bad_request", message: "to and phone_number_id are required" });
+  }
+
+  const current = getCallPermission(phoneNumberId, to);
+  if (current.status === "granted") return res.json(current);
+  if (current.requestedAt && Date.now() - current.requestedAt < CALL_PERMISSION_REQUEST_INTERVAL_MS) {
+    return res.status(429).json({
+      error: "recently_requested",
+      message: "Call permission was requested recently; wait before asking again",
+      permission: current,
+    });
+  }
+
+  try {
+    res.status(202).json(await requestCallPermission(phoneNumberId, to, text));
+  } catch (e) {
+    console.error("CALL PERMISSION ERROR →", e.response?.data || e.message);
+    res.status(502).json({ error: "request_failed", message: e.message, details: e.response?.data?.error });
+  }
+});
+
+app.get("/call-permissions/:phoneNumberId/:to", requireApiKey(CALLS_API_KEY), (req, res) => {
+  res.json(getCallPermission(req.params.phoneNumberId, req.params.to));
+});
+
+// =====================================================
+//                  CALL CONTROL
+// =====================================================
+// cleanup() only tears down our side; these also tell WhatsApp. Used for
+// limits, the bot hanging up and the admin API.
+const MAX_CALL_DURATION_SEC = Number(process.env.MAX_CALL_DURATION_SEC || 0); // 0 = unlimited
+const MAX_CONCURRENT_CALLS = Number(process.env.MAX_CONCURRENT_CALLS || 0); // 0 = unlimited
+const ADMIN_API_KEY = process.env.ADMIN_API_KEY;
+
+const atCallLimit = () => MAX_CONCURRENT_CALLS > 0 && calls.size >= MAX_CONCURRENT_CALLS;
+
+// Declines a call that was never answered
+async function rejectCall(phoneNumberId, callId, reason) {
+  console.log(`🚫 Rejecting call (${reason}) →`, callId);
+  endedCalls.set(callId);
+  takePendingIce(callId);
+  return postCall(phoneNumberId, { messaging_product: "whatsapp", call_id: callId, action: "reject" });
+}
+
+// Hangs up a live call. Local teardown comes first so concurrent callers
+// (timer, bot, admin) terminate it only once.
+async function terminateCall(callId, reason) {
+  const state = calls.get(callId);
+  if (!state) return false;
+
+  console.log(`📴 Terminating call (${reason}) →`, callId);
+  cleanup(callId, reason);
+  await postCall(state.phoneNumberId, { messaging_product: "whatsapp", call_id: callId, action: "terminate" });
+  return true;
+}
+
+// =====================================================
+//                  ICE SERVERS
+// =====================================================
+// STUN/TURN come from the environment. TURN credentials are either static
+// (TURN_USER/TURN_PASS) or, with TURN_SECRET, minted per call using the TURN
+// REST API scheme (coturn use-auth-secret): username "<expiry>:<label>",
+// password base64(HMAC-SHA1(secret, username)).
+const splitList = (v) => (v || "").split(",").map((s) => s.trim()).filter(Boolean);
+
+const STUN_URLS = splitList(process.env.STUN_URLS ?? "stun:stun.l.google.com:19302");
+const TURN_URLS = splitList(process.env.TURN_URLS || process.env.TURN_URL);
+const TURN_USER = process.env.TURN_USER;
+const TURN_PASS = process.env.TURN_PASS;
+const TURN_SECRET = process.env.TURN_SECRET;
+const TURN_CREDENTIAL_TTL_SEC = Number(process.env.TURN_CREDENTIAL_TTL_SEC || 86400);
+const ICE_TRANSPORT_POLICY = process.env.ICE_TRANSPORT_POLICY || "all";
+
+if (!["all", "relay"].includes(ICE_TRANSPORT_POLICY)) throw new Error('ICE_TRANSPORT_POLICY must be "all" or "relay"');
+if (TURN_URLS.length && !TURN_SECRET && !(TURN_USER && TURN_PASS)) throw new Error("TURN_SECRET or TURN_USER/TURN_PASS missing");
+if (ICE_TRANSPORT_POLICY === "relay" && !TURN_URLS.length) throw new Error("TURN_URLS missing (required for relay policy)");
+
+defineMetric("ice_candidate_pairs_total", "counter", "Connected calls by selected local/remote candidate type");
+
+function turnCredentials(label = "wa-call-agent") {
+  if (!TURN_SECRET) return { username: TURN_USER, credential: TURN_PASS };
+  const username = `${Math.floor(Date.now() / 1000) + TURN_CREDENTIAL_TTL_SEC}:${label}`;
+  return { username, credential: crypto.createHmac("sha1", TURN_SECRET).update(username).digest("base64") };
+}
+
+function iceServers(callId) {
+  const servers = [];
+  if (STUN_URLS.length) servers.push({ urls: STUN_URLS });
+  if (TURN_URLS.length) servers.push({ urls: TURN_URLS, ...turnCredentials(callId || undefined) });
+  return servers;
+}
+
+function selectedCandidatePair(stats, byId) {
+  const transport = stats.find((s) => s.type === "transport" && s.selectedCandidatePairId);
+  return (
+    byId.get(transport?.selectedCandidatePairId) ||
+    stats.find((s) => s.type === "candidate-pair" && (s.selected || (s.nominated && s.state === "succeeded")))
+  );
+}
+
+// Records which candidates carry the media (host, srflx or relay), once per
+// connect, i.e. again after media recovers. Addresses and ports are left
+// out: they identify the caller's network and end up in debug views.
+async function reportCandidatePair(state) {
+  try {
+    const stats = [...(await state.pc.getStats()).values()];
+    const byId = new Map(stats.map((s) => [s.id, s]));
+    const pair = selectedCandidatePair(stats, byId);
+    if (!pair) return;
+
+    const describe = (c = {}) => ({
+      type: c.candidateType,
+      protocol: c.protocol,
+      relayProtocol: c.relayProtocol,
+    });
+    const local = describe(byId.get(pair.localCandidateId));
+    const remote = describe(byId.get(pair.remoteCandidateId));
+    state.candidatePair = { local, remote, rttMs: pair.currentRoundTripTime != null ? pair.currentRoundTripTime * 1000 : null };
+
+    incCounter("ice_candidate_pairs_total", { local_type: local.type || "unknown", remote_type: remote.type || "unknown" });
+    console.log(`🧭 ICE pair ${local.type}/${local.protocol} ↔ ${remote.type}/${remote.protocol} →`, state.callId);
+  } catch (e) {
+    console.error("ICE STATS ERROR →", state.callId, e.message);
+  }
+}
+
+// =====================================================
+//                  MEDIA LOSS
+// =====================================================
+// The Calling API has no way to renegotiate a call (no new offer/answer and
+// no fresh ICE credentials mid-call), so a lost connection cannot be
+// restarted from our side. What we can do is keep the existing peer
+// connection and wait: ICE keeps checking the known candidate pairs and a
+// brief network blip usually heals by itself. If media is not back within
+// RECONNECT_GRACE_MS the call is terminated instead of lingering silently.
+const RECONNECT_GRACE_MS = Number(process.env.RECONNECT_GRACE_MS || 20000);
+
+defineMetric("call_media_interruptions_total", "counter", "Lost media connections, by whether they came back");
+
+function watchConnection(state, pc) {
+  if (state.pc !== pc || calls.get(state.callId) !== state) return; // stale pc or ended call
+
+  const status = pc.connectionState;
+  const lost = state.mediaLost;
+
+  if (status === "connected") reportCandidatePair(state);
+
+  if (status === "connected" && lost) {
+    clearTimeout(lost.timer);
+    state.mediaLost = null;
+    incCounter("call_media_interruptions_total", { result: "recovered" });
+    console.log(`✅ Media recovered after ${Date.now() - lost.since} ms →`, state.callId);
+  } else if ((status === "disconnected" || status === "failed") && !lost) {
+    console.log(`⚠️ WebRTC ${status}, waiting for media →`, state.callId);
+    state.mediaLost = { since: Date.now(), timer: setTimeout(() => endLostCall(state), RECONNECT_GRACE_MS) };
+  }
+}
+
+function endLostCall(state) {
+  if (!state.mediaLost || calls.get(state.callId) !== state) return;
+  incCounter("call_media_interruptions_total", { result: "lost" });
+  console.log("❌ Media not recovered, ending call →", state.callId);
+  state.mediaLost = null;
+  terminateCall(state.callId, "media_lost");
+}
+
+// =====================================================
+//                  CALL QUALITY
+// =====================================================
+// getStats() is sampled every STATS_INTERVAL_MS while a call is live. Loss
+// and jitter describe what we receive from the caller; RTT covers both ways.
+// Each sample gets an E-model MOS estimate, and the call keeps a summary
+// (state.quality) so network trouble can be told apart from slow replies.
+const STATS_INTERVAL_MS = Number(process.env.STATS_INTERVAL_MS || 5000); // 0 = off
+const QUALITY_MAX_SAMPLES = 720; // 1 h at the default interval
+
+defineMetric("rtp_packets_received_total", "counter", "Audio RTP packets received from callers");
+defineMetric("rtp_packets_lost_total", "counter", "Audio RTP packets from callers that never arrived");
+defineMetric("call_quality_mos_min", "gauge", "Lowest latest-sample MOS estimate among active calls");
+defineMetric("call_quality_rtt_ms_max", "gauge", "Highest latest-sample round-trip time among active calls");
+defineMetric("calls_by_quality_total", "counter", "Ended calls by average MOS band (good >= 4, fair >= 3.6, poor)");
+
+metricCollectors.push(() => {
+  const latest = [...calls.values()].map((c) => c.quality).filter((q) => q?.mos.length);
+  setGauge("call_quality_mos_min", {}, latest.length ? Math.min(...latest.map((q) => q.mos.at(-1))) : 0);
+  setGauge("call_quality_rtt_ms_max", {}, Math.max(0, ...latest.map((q) => q.rttMs.at(-1) ?? 0)));
+});
+
+function startQualityStats(state) {
+  if (!STATS_INTERVAL_MS || state.statsTimer) return;
+  state.quality = { codec: null, packetsReceived: 0, packetsLost: 0, jitterMs: [], rttMs: [], lossPct: [], mos: [] };
+  state.statsTimer = setInterval(() => sampleQuality(state), STATS_INTERVAL_MS);
+}
+
+function finishQualityStats(state) {
+  clearInterval(state.statsTimer);
+  const summary = summarizeQuality(state.quality);
+  if (!summary) return;
+
+  state.qualitySummary = summary;
+  incCounter("calls_by_quality_total", { band: summary.band });
+  console.log(
+    `📊 Quality MOS ${summary.mos.avg} (min ${summary.mos.min}), loss ${summary.lossPct}%, ` +
+      `jitter p95 ${summary.jitterMs.p95}ms, RTT ${summary.rttMs.avg}ms →`,
+    state.callId
+  );
+}
+
+async function sampleQuality(state) {
+  const q = state.quality;
+  let stats;
+  try {
+    stats = [...(await state.pc.getStats()).values()];
+  } catch (e) {
+    return console.error("STATS ERROR →", state.callId, e.message);
+  }
+
+  const byId = new Map(stats.map((s) => [s.id, s]));
+  const isAudio = (s) => (s.kind || s.mediaType) === "audio";
+  const inbound = stats.find((s) => s.type === "inbound-rtp" && isAudio(s));
+  const remoteInbound = stats.find((s) => s.type === "remote-inbound-rtp" && isAudio(s));
+  const pair = selectedCandidatePair(stats, byId);
+
+  const codec = byId.get(inbound?.codecId);
+  if (codec?.mimeType) q.codec = `${codec.mimeType.split("/").pop()}/${codec.clockRate}`;
+
+  // Loss over this interval, from the cumulative counters
+  let lossPct = 0;
+  if (inbound) {
+    const received = Math.max(0, (inbound.packetsReceived || 0) - q.packetsReceived);
+    const lost = Math.max(0, (inbound.packetsLost || 0) - q.packetsLost);
+    q.packetsReceived += received;
+    q.packetsLost += lost;
+    incCounter("rtp_packets_received_total", {}, received);
+    incCounter("rtp_packets_lost_total", {}, lost);
+    if (received + lost) lossPct = (lost / (received + lost)) * 100;
+    if (inbound.jitter != null) pushSample(q.jitterMs, inbound.jitter * 1000);
+  }
+
+  const rtt = pair?.currentRoundTripTime ?? remoteInbound?.roundTripTime;
+  if (rtt != null) pushSample(q.rttMs, rtt * 1000);
+
+  if (!inbound && rtt == null) return; // no media yet
+  pushSample(q.lossPct, lossPct);
+  pushSample(q.mos, estimateMos(q.rttMs.at(-1), q.jitterMs.at(-1), lossPct));
+}
+
+function pushSample(list, value) {
+  list.push(value);
+  if (list.length > QUALITY_MAX_SAMPLES) list.shift();
+}
+
+// Simplified ITU-T G.107 E-model: mouth-to-ear delay (half the RTT plus a
+// jitter buffer of twice the jitter) and packet loss lower R, mapped to MOS.
+function estimateMos(rttMs = 0, jitterMs = 0, lossPct = 0) {
+  const delay = rttMs / 2 + jitterMs * 2 + 10;
+  let r = delay < 160 ? 93.2 - delay / 40 : 93.2 - (delay - 120) / 10;
+  r = Math.max(0, Math.min(100, r - lossPct * 2.5));
+  return 1 + 0.035 * r + 7e-6 * r * (r - 60) * (100 - r);
+}
+
+function percentile(list, p) {
+  if (!list.length) return null;
+  const sorted = [...list].sort((a, b) => a - b);
+  return sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+}
+
+function summarizeQuality(q) {
+  if (!q?.mos.length) return null;
+  const round = (v, digits = 1) => (v == null ? null : Number(v.toFixed(digits)));
+  const avg = (list) => (list.length ? list.reduce((a, b) => a + b, 0) / list.length : null);
+  const total = q.packetsReceived + q.packetsLost;
+  const mos = avg(q.mos);
+
+  return {
+    samples: q.mos.length,
+    codec: q.codec,
+    packetsReceived: q.packetsReceived,
+    packetsLost: q.packetsLost,
+    lossPct: round(total ? (q.packetsLost / total) * 100 : 0, 2),
+    jitterMs: { p50: round(percentile(q.jitterMs, 0.5)), p95: round(percentile(q.jitterMs, 0.95)) },
+    rttMs: { avg: round(avg(q.rttMs)), p95: round(percentile(q.rttMs, 0.95)) },
+    mos: { avg: round(mos, 2), min: round(Math.min(...q.mos), 2) },
+    band: mos >= 4 ? "good" : mos >= 3.6 ? "fair" : "poor",
+  };
+}
+
+// =====================================================
+//                  CALL RECORDING
+// =====================================================
+// Personas with `record: true` get a stereo WAV per call: left = caller (from
+// the RTCAudioSink), right = bot (every frame the playout scheduler sends).
+// Both channels are placed on the recorder's wall clock, so gaps (no remote
+// track yet, skipped playout ticks) become silence instead of shifting one
+// side. The file is built in the temp dir and handed to a storage backend
+// when the call is cleaned up; its URI ends up in state.recordingUri.
+const RECORDING_SAMPLE_RATE = Number(process.env.RECORDING_SAMPLE_RATE || 16000);
+const RECORDING_STORE = process.env.RECORDING_STORE || "local";
+const RECORDING_DIR = process.env.RECORDING_DIR || "recordings";
+const RECORDING_SLACK_MS = 200; // audio arriving later than this behind the clock is a gap
+
+const recordingStores = new Map();
+
+// store: { save(tmpFile, { callId, phoneNumberId, durationMs }) → uri }. The
+// store owns tmpFile afterwards (move, upload and delete, ...).
+function registerRecordingStore(name, store) {
+  recordingStores.set(name, store);
+}
+
+registerRecordingStore("local", {
+  async save(tmpFile, { callId }) {
+    await fs.promises.mkdir(RECORDING_DIR, { recursive: true });
+    const dest = path.resolve(RECORDING_DIR, `${callId}.wav`);
+    try {
+      await fs.promises.rename(tmpFile, dest);
+    } catch (e) {
+      if (e.code !== "EXDEV") throw e; // temp dir on another filesystem
+      await fs.promises.copyFile(tmpFile, dest);
+      await fs.promises.unlink(tmpFile);
+    }
+    return `file://${dest}`;
+  },
+});
+
+function createRecorder(file) {
+  const rate = RECORDING_SAMPLE_RATE;
+  const out = fs.createWriteStream(file);
+  out.on("error", (e) => console.error("RECORDING ERROR →", file, e.message));
+  out.write(Buffer.alloc(44)); // WAV header, filled in once the length is known
+
+  const startedAt = Date.now();
+  const slack = Math.round((RECORDING_SLACK_MS * rate) / 1000);
+  // Per channel: pending chunks, and `end` = samples received (or filled) so far
+  const channels = [0, 1].map(() => ({ resample: createResampler(CALL_SAMPLE_RATE, rate), chunks: [], end: 0 }));
+  let written = 0; // sample frames in the file
+  let closed = false;
+
+  const clock = () => Math.floor(((Date.now() - startedAt) * rate) / 1000);
+
+  function fill(ch, upTo) {
+    if (upTo <= ch.end) return;
+    ch.chunks.push(new Int16Array(upTo - ch.end));
+    ch.end = upTo;
+  }
+
+  function take(ch, n) {
+    const samples = new Int16Array(n);
+    for (let k = 0; k < n; ) {
+      const c = ch.chunks[0];
+      const m = Math.min(n - k, c.length);
+      samples.set(c.subarray(0, m), k);
+      k += m;
+      if (m === c.length) ch.chunks.shift();
+      else ch.chunks[0] = c.subarray(m);
+    }
+    return samples;
+  }
+
+  // Interleaves what both channels have, in ~100 ms writes
+  function flush(min = rate / 10) {
+    const n = Math.min(channels[0].end, channels[1].end) - written;
+    if (n <= 0 || n < min) return;
+    const [left, right] = channels.map((ch) => take(ch, n));
+    const frames = new Int16Array(n * 2);
+    for (let i = 0; i < n; i++) {
+      frames[2 * i] = left[i];
+      frames[2 * i + 1] = right[i];
+    }
+    out.write(Buffer.from(frames.buffer));
+    written += n;
+  }
+
+  // Keeps a silent channel from holding back the other one
+  const timer = setInterval(() => {
+    channels.forEach((ch) => fill(ch, clock() - slack));
+    flush();
+  }, 1000);
+
+  return {
+    // channel 0 = caller, 1 = bot; mono PCM at CALL_SAMPLE_RATE
+    push(channel, samples) {
+      if (closed) return;
+      const ch = channels[channel];
+      const resampled = ch.resample(samples);
+      fill(ch, clock() - slack - resampled.length);
+      ch.chunks.push(resampled);
+      ch.end += resampled.length;
+      flush();
+    },
+    async finish() {
+      closed = true;
+      clearInterval(timer);
+      const end = Math.max(channels[0].end, channels[1].end);
+      channels.forEach((ch) => fill(ch, end));
+      flush(0);
+      await new Promise((resolve) => out.end(resolve));
+
+      const header = encodeWav(new Int16Array(0), rate, 2);
+      header.writeUInt32LE(36 + written * 4, 4);
+      header.writeUInt32LE(written * 4, 40);
+      const fh = await fs.promises.open(file, "r+");
+      try {
+        await fh.write(header, 0, header.length, 0);
+      } finally {
+        await fh.close();
+      }
+      return { file, durationMs: Math.round((written * 1000) / rate) };
+    },
+    // Stops recording and deletes what was captured
+    async discard() {
+      closed = true;
+      clearInterval(timer);
+      await new Promise((resolve) => out.end(resolve));
+      await fs.promises.unlink(file).catch(() => {});
+    },
+  };
+}
+
+function startRecording(state) {
+  const file = path.join(os.tmpdir(), `call-${state.callId}-${Date.now()}.wav`);
+  state.recorder = createRecorder(file);
+  console.log("⏺ Recording →", state.callId);
+}
+
+async function saveRecording(state) {
+  const recorder = state.recorder;
+  if (!recorder) return;
+  state.recorder = null;
+
+  try {
+    const { file, durationMs } = await recorder.finish();
+    const store = recordingStores.get(RECORDING_STORE);
+    if (!store) throw new Error(`Unknown recording store "${RECORDING_STORE}"`);
+    state.recordingUri = await store.save(file, { callId: state.callId, phoneNumberId: state.phoneNumberId, durationMs });
+    console.log(`💾 Recording saved (${Math.round(durationMs / 1000)}s) →`, state.recordingUri);
+  } catch (e) {
+    console.error("RECORDING ERROR →", state.callId, e.message);
+  }
+}
+
+// =====================================================
+//                     CONSENT
+// =====================================================
+// Personas with consent.announcement play it on the "prompt" source as soon
+// as the call is up, before the greeting (it holds the turn like the greeting
+// and can't be barged in on). For windowSec after it the caller can object by
+// saying one of optOutPhrases; pressing optOutDigit works for the whole call.
+// Opting out stops and deletes the recording and keeps the transcript out of
+// logs and storage. The outcome is kept in state.consent.
+const CONSENT_OPT_OUT_PHRASES = ["no", "no thanks", "no thank you", "don't record", "do not record", "stop recording", "opt out", "i don't consent", "i do not consent"];
+const CONSENT_OPT_OUT_REPLY = "Okay, this call will not be recorded.";
+
+// Recording and transcripts are kept unless the caller opted out
+const retainsCallData = (state) => state.consent?.status !== "opted_out";
+
+function consentSettings(persona) {
+  return {
+    optOutPhrases: CONSENT_OPT_OUT_PHRASES,
+    optOutDigit: "9",
+    optOutReply: CONSENT_OPT_OUT_REPLY,
+    windowSec: 20,
+    ...persona.consent,
+  };
+}
+
+async function announceConsent(state) {
+  const settings = consentSettings(state.persona);
+  state.consent = { status: "pending", at: null, via: null };
+  if (settings.optOutDigit) {
+    state.dtmf = createDtmfDetector((digit) => {
+      console.log(`🔢 DTMF ${digit} →`, state.callId);
+      if (digit === String(settings.optOutDigit) && retainsCallData(state)) optOut(state, "dtmf");
+    });
+  }
+
+  state.turnBusy = true;
+  try {
+    await playPrompt(state, settings.announcement);
+  } finally {
+    state.turnBusy = false;
+  }
+  if (calls.get(state.callId) !== state) return; // call ended during the announcement
+  state.consent.announcedAt = Date.now();
+  console.log("📢 Consent announced →", state.callId);
+
+  // Silence counts as agreement once the window has passed
+  state.consentTimer = setTimeout(() => {
+    if (state.consent.status !== "pending") return;
+    Object.assign(state.consent, { status: "accepted", at: Date.now(), via: "no_objection" });
+  }, settings.windowSec * 1000);
+}
+
+function isOptOut(state, text) {
+  if (state.consent?.status !== "pending") return false;
+  const said = text.toLowerCase().replace(/’/g, "'").replace(/[^\p{L}\p{N}\s']/gu, "").replace(/\s+/g, " ").trim();
+  // Single words must be the whole utterance ("no", not "no, Tuesday"),
+  // longer phrases may appear anywhere
+  return consentSettings(state.persona).optOutPhrases.some((phrase) => {
+    phrase = phrase.toLowerCase();
+    return said === phrase || (phrase.includes(" ") && said.includes(phrase));
+  });
+}
+
+async function optOut(state, via) {
+  state.consent = { ...state.consent, status: "opted_out", at: Date.now(), via };
+  console.log(`🙅 Caller opted out (${via}) →`, state.callId);
+
+  const recorder = state.recorder;
+  state.recorder = null;
+  storeWrite("redactTranscript", state.callId);
+  await recorder?.discard();
+
+  await playPrompt(state, consentSettings(state.persona).optOutReply);
+}
+
+// Speaks text on the "prompt" source, outside the conversation history
+async function playPrompt(state, text) {
+  const { playout } = state;
+  if (!text || !playout) return;
+
+  let rate = 0;
+  let toCallRate = null;
+  try {
+    for await (const { pcm, sampleRate } of ttsChunkStream(text, state.persona, usageRecorder(state))) {
+      if (sampleRate !== rate) {
+        rate = sampleRate;
+        toCallRate = createResampler(sampleRate, CALL_SAMPLE_RATE);
+      }
+      playout.enqueue("prompt", toCallRate(pcm));
+    }
+  } catch (e) {
+    console.error("PROMPT ERROR →", e.message);
+  }
+  await playout.drain("prompt");
+}
+
+// In-band DTMF: caller audio at 8 kHz in 205-sample blocks (~26 ms), Goertzel
+// power at the 4 row and 4 column tones. A key counts once both tones of a
+// pair dominate for two blocks in a row; it fires again only after release.
+const DTMF_RATE = 8000;
+const DTMF_BLOCK = 205;
+const DTMF_ROWS = [697, 770, 852, 941];
+const DTMF_COLS = [1209, 1336, 1477, 1633];
+const DTMF_KEYS = ["123A", "456B", "789C", "*0#D"];
+const DTMF_MIN_RMS = 300;
+const DTMF_MIN_SHARE = 0.2; // share of block energy each tone must carry (a clean pair gives 0.5)
+
+function createDtmfDetector(onDigit) {
+  const toDtmfRate = createResampler(CALL_SAMPLE_RATE, DTMF_RATE);
+  const coeff = (f) => 2 * Math.cos((2 * Math.PI * f) / DTMF_RATE);
+  const rowCoeffs = DTMF_ROWS.map(coeff);
+  const colCoeffs = DTMF_COLS.map(coeff);
+  const block = new Float32Array(DTMF_BLOCK);
+  let filled = 0;
+  let candidate = null;
+  let held = null;
+
+  function goertzel(k) {
+    let s1 = 0;
+    let s2 = 0;
+    for (let i = 0; i < DTMF_BLOCK; i++) {
+      const s = block[i] + k * s1 - s2;
+      s2 = s1;
+      s1 = s;
+    }
+    return s1 * s1 + s2 * s2 - k * s1 * s2;
+  }
+
+  function detect() {
+    let energy = 0;
+    for (let i = 0; i < DTMF_BLOCK; i++) energy += block[i] * block[i];
+    if (Math.sqrt(energy / DTMF_BLOCK) < DTMF_MIN_RMS) return null;
+
+    // Goertzel power of a pure tone is ~ its energy * N / 2
+    const share = (k) => goertzel(k) / ((energy * DTMF_BLOCK) / 2);
+    const rows = rowCoeffs.map(share);
+    const cols = colCoeffs.map(share);
+    const row = rows.indexOf(Math.max(...rows));
+    const col = cols.indexOf(Math.max(...cols));
+    if (rows[row] < DTMF_MIN_SHARE || cols[col] < DTMF_MIN_SHARE) return null;
+    return DTMF_KEYS[row][col];
+  }
+
+  return {
+    push(samples) {
+      const input = toDtmfRate(samples);
+      for (let i = 0; i < input.length; i++) {
+        block[filled++] = input[i];
+        if (filled < DTMF_BLOCK) continue;
+        filled = 0;
+
+        const key = detect();
+        if (key && key === candidate && key !== held) {
+          held = key;
+          onDigit(key);
+        }
+        if (!key) held = null;
+        candidate = key;
+      }
+    },
+  };
+}
+
+// =====================================================
+//                    CALL STORE
+// =====================================================
+// Call detail records that outlive the process: one record per call (who,
+// when, how long, why it ended, quality, consent, recording), each user
+// utterance and AI reply with timings, and every provider attempt. Backends
+// are registered like providers and CALL_STORE picks one. Transcripts of
+// calls that opted out are not stored (and redacted if already written).
+//
+// Writes are queued and flushed every CALL_STORE_FLUSH_MS, in one transaction
+// for SQLite. better-sqlite3 is synchronous, so a flush still runs on the
+// event loop that drives the 10 ms playout tick; batching turns a disk write
+// per turn and provider attempt into one short burst per interval, and the
+// scheduler catches up a late tick. A failing write is only logged.
+const CALL_STORE = process.env.CALL_STORE || "sqlite";
+const CALL_STORE_PATH = process.env.CALL_STORE_PATH || "calls.db";
+const CALL_STORE_FLUSH_MS = Number(process.env.CALL_STORE_FLUSH_MS || 1000);
+const CALL_STORE_MEMORY_MAX = 1000; // calls kept by the memory store
+
+const callStores = new Map();
+let callStore = null;
+
+// factory() → { startCall(call), endCall(callId, end), addTurn(callId, turn),
+//   addProviderUsage(callId, usage), redactTranscript(callId), getCall(callId),
+//   listCalls({ phoneNumberId, waId, direction, endReason, from, to, limit, offset }) → { total, calls },
+//   savePermission(phoneNumberId, waId, permission), listPermissions() → [{ phoneNumberId, waId, ...permission }],
+//   batch(fn)? runs a flush's writes together, e.g. in a transaction }
+// Methods may be sync or return promises.
+function registerCallStore(name, factory) {
+  callStores.set(name, factory);
+}
+
+function getCallStore() {
+  if (!callStore) {
+    const factory = callStores.get(CALL_STORE);
+    if (!factory) throw new Error(`Unknown CALL_STORE "${CALL_STORE}"`);
+    callStore = factory();
+  }
+  return callStore;
+}
+
+const pendingWrites = []; // [method, args] in call order
+let flushTimer = null;
+let flushing = Promise.resolve();
+
+function storeWrite(method, ...args) {
+  pendingWrites.push([method, args]);
+  flushTimer ||= setTimeout(flushCallStore, CALL_STORE_FLUSH_MS);
+}
+
+// Also called before reads, so the admin API sees everything written so far.
+// Flushes are chained to keep writes in order for async stores.
+function flushCallStore() {
+  clearTimeout(flushTimer);
+  flushTimer = null;
+  const writes = pendingWrites.splice(0);
+  if (!writes.length) return flushing;
+
+  flushing = flushing.then(async () => {
+    let store;
+    const results = [];
+    const run = () => {
+      for (const [method, args] of writes) {
+        try {
+          results.push(Promise.resolve(store[method](...args)).catch((e) => storeWriteFailed(method, e)));
+        } catch (e) {
+          storeWriteFailed(method, e);
+        }
+      }
+    };
+    try {
+      store = getCallStore();
+      store.batch ? store.batch(run) : run();
+    } catch (e) {
+      console.error("CALL STORE ERROR →", e.message);
+    }
+    await Promise.all(results);
+  });
+  return flushing;
+}
+
+function storeWriteFailed(method, e) {
+  console.error(`CALL STORE ERROR (${method}) →`, e.message);
+}
+
+function recordCallStart(state) {
+  storeWrite("startCall", {
+    callId: state.callId,
+    phoneNumberId: state.phoneNumberId,
+    waId: state.waId,
+    direction: state.direction,
+    persona: state.persona.name,
+    startedAt: state.startedAt,
+  });
+}
+
+// Waits for the recording to be stored so its URI lands in the same record
+async function recordCallEnd(state) {
+  await state.recordingDone;
+  storeWrite("endCall", state.callId, {
+    answeredAt: state.answeredAt || null,
+    endedAt: state.endedAt,
+    durationMs: state.answeredAt ? state.endedAt - state.answeredAt : 0,
+    endReason: state.endReason,
+    recordingUri: state.recordingUri || null,
+    consent: state.consent || null,
+    quality: state.qualitySummary || null,
+  });
+}
+
+function recordTurn(state, turn) {
+  storeWrite("addTurn", state.callId, { ...turn, text: retainsCallData(state) ? turn.text : null });
+}
+
+// onUsage callback for runChain/streamChain
+function usageRecorder(state) {
+  return (usage) => storeWrite("addProviderUsage", state.callId, { ...usage, at: Date.now() });
+}
+
+function callMatches(call, { phoneNumberId, waId, direction, endReason, from, to }) {
+  return (
+    (!phoneNumberId || call.phoneNumberId === phoneNumberId) &&
+    (!waId || call.waId === waId) &&
+    (!direction || call.direction === direction) &&
+    (!endReason || call.endReason === endReason) &&
+    (!from || call.startedAt >= from) &&
+    (!to || call.startedAt < to)
+  );
+}
+
+registerCallStore("memory", () => {
+  const records = new Map(); // callId → { ...call, turns, providerUsage }
+  const permissions = new Map(); // `${phoneNumberId}:${waId}` → { phoneNumberId, waId, ...permission }
+  return {
+    startCall(call) {
+      records.set(call.callId, { ...call, turns: [], providerUsage: [] });
+      if (records.size > CALL_STORE_MEMORY_MAX) records.delete(records.keys().next().value);
+    },
+    endCall(callId, end) {
+      if (records.has(callId)) Object.assign(records.get(callId), end);
+    },
+    addTurn(callId, turn) {
+      records.get(callId)?.turns.push(turn);
+    },
+    addProviderUsage(callId, usage) {
+      records.get(callId)?.providerUsage.push(usage);
+    },
+    redactTranscript(callId) {
+      records.get(callId)?.turns.forEach((t) => (t.text = null));
+    },
+    getCall(callId) {
+      return records.get(callId) || null;
+    },
+    listCalls({ limit = 50, offset = 0, ...filter } = {}) {
+      const matching = [...records.values()]
+        .filter((c) => callMatches(c, filter))
+        .sort((a, b) => b.startedAt - a.startedAt);
+      return {
+        total: matching.length,
+        calls: matching.slice(offset, offset + limit).map(({ turns, providerUsage, ...call }) => call),
+      };
+    },
+    savePermission(phoneNumberId, waId, permission) {
+      permissions.set(`${phoneNumberId}:${waId}`, { phoneNumberId, waId, ...permission });
+    },
+    listPermissions() {
+      return [...permissions.values()];
+    },
+  };
+});
+
+registerCallStore("sqlite", () => {
+  const Database = require("better-sqlite3");
+  const db = new Database(CALL_STORE_PATH);
+  db.pragma("journal_mode = WAL");
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS calls (
+      call_id TEXT PRIMARY KEY,
+      phone_number_id TEXT,
+      wa_id TEXT,
+      direction TEXT,
+      persona TEXT,
+      started_at INTEGER,
+      answered_at INTEGER,
+      ended_at INTEGER,
+      duration_ms INTEGER,
+      end_reason TEXT,
+      recording_uri TEXT,
+      consent TEXT,
+      quality TEXT
+    );
+    CREATE INDEX IF NOT EXISTS calls_started_at ON calls (started_at);
+    CREATE TABLE IF NOT EXISTS turns (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      call_id TEXT NOT NULL,
+      role TEXT,
+      text TEXT,
+      at INTEGER,
+      stt_ms INTEGER,
+      ttfa_ms INTEGER,
+      duration_ms INTEGER,
+      interrupted INTEGER,
+      spoken_ratio REAL
+    );
+    CREATE INDEX IF NOT EXISTS turns_call_id ON turns (call_id);
+    CREATE TABLE IF NOT EXISTS provider_usage (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      call_id TEXT NOT NULL,
+      kind TEXT,
+      provider TEXT,
+      ok INTEGER,
+      latency_ms INTEGER,
+      at INTEGER
+    );
+    CREATE INDEX IF NOT EXISTS provider_usage_call_id ON provider_usage (call_id);
+    CREATE TABLE IF NOT EXISTS call_permissions (
+      phone_number_id TEXT NOT NULL,
+      wa_id TEXT NOT NULL,
+      status TEXT,
+      requested_at INTEGER,
+      updated_at INTEGER,
+      expires_at INTEGER,
+      permanent INTEGER,
+      source TEXT,
+      PRIMARY KEY (phone_number_id, wa_id)
+    );
+  `);
+
+  const insertCall = db.prepare(`
+    INSERT OR REPLACE INTO calls (call_id, phone_number_id, wa_id, direction, persona, started_at)
+    VALUES (@callId, @phoneNumberId, @waId, @direction, @persona, @startedAt)`);
+  const updateCall = db.prepare(`
+    UPDATE calls SET answered_at = @answeredAt, ended_at = @endedAt, duration_ms = @durationMs,
+      end_reason = @endReason, recording_uri = @recordingUri, consent = @consent, quality = @quality
+    WHERE call_id = @callId`);
+  const insertTurn = db.prepare(`
+    INSERT INTO turns (call_id, role, text, at, stt_ms, ttfa_ms, duration_ms, interrupted, spoken_ratio)
+    VALUES (@callId, @role, @text, @at, @sttMs, @ttfaMs, @durationMs, @interrupted, @spokenRatio)`);
+  const insertUsage = db.prepare(`
+    INSERT INTO provider_usage (call_id, kind, provider, ok, latency_ms, at)
+    VALUES (@callId, @kind, @provider, @ok, @latencyMs, @at)`);
+  const redact = db.prepare("UPDATE turns SET text = NULL WHERE call_id = ?");
+  const selectCall = db.prepare("SELECT * FROM calls WHERE call_id = ?");
+  const selectTurns = db.prepare("SELECT * FROM turns WHERE call_id = ? ORDER BY id");
+  const selectUsage = db.prepare("SELECT * FROM provider_usage WHERE call_id = ? ORDER BY id");
+  const upsertPermission = db.prepare(`
+    INSERT OR REPLACE INTO call_permissions
+      (phone_number_id, wa_id, status, requested_at, updated_at, expires_at, permanent, source)
+    VALUES (@phoneNumberId, @waId, @status, @requestedAt, @updatedAt, @expiresAt, @permanent, @source)`);
+  const selectPermissions = db.prepare("SELECT * FROM call_permissions");
+
+  const json = (v) => (v == null ? null : JSON.stringify(v));
+  const toCall = (r) => ({
+    callId: r.call_id,
+    phoneNumberId: r.phone_number_id,
+    waId: r.wa_id,
+    direction: r.direction,
+    persona: r.persona,
+    startedAt: r.started_at,
+    answeredAt: r.answered_at,
+    endedAt: r.ended_at,
+    durationMs: r.duration_ms,
+    endReason: r.end_reason,
+    recordingUri: r.recording_uri,
+    consent: JSON.parse(r.consent || "null"),
+    quality: JSON.parse(r.quality || "null"),
+  });
+  const toTurn = (r) => ({
+    role: r.role,
+    text: r.text,
+    at: r.at,
+    sttMs: r.stt_ms,
+    ttfaMs: r.ttfa_ms,
+    durationMs: r.duration_ms,
+    interrupted: !!r.interrupted,
+    spokenRatio: r.spoken_ratio,
+  });
+  const toUsage = (r) => ({ kind: r.kind, provider: r.provider, ok: !!r.ok, latencyMs: r.latency_ms, at: r.at });
+  const toPermission = (r) => ({
+    phoneNumberId: r.phone_number_id,
+    waId: r.wa_id,
+    status: r.status,
+    requestedAt: r.requested_at,
+    updatedAt: r.updated_at,
+    expiresAt: r.expires_at,
+    permanent: r.permanent == null ? undefined : !!r.permanent,
+    source: r.source ?? undefined,
+  });
+
+  // Optional columns default to NULL (better-sqlite3 rejects missing named parameters)
+  return {
+    batch(fn) {
+      db.transaction(fn)();
+    },
+    startCall(call) {
+      insertCall.run({ waId: null, ...call });
+    },
+    endCall(callId, end) {
+      updateCall.run({
+        answeredAt: null,
+        recordingUri: null,
+        ...end,
+        callId,
+        consent: json(end.consent),
+        quality: json(end.quality),
+      });
+    },
+    addTurn(callId, turn) {
+      insertTurn.run({
+        sttMs: null,
+        ttfaMs: null,
+        durationMs: null,
+        spokenRatio: null,
+        ...turn,
+        callId,
+        interrupted: turn.interrupted ? 1 : 0,
+      });
+    },
+    addProviderUsage(callId, usage) {
+      insertUsage.run({ ...usage, callId, ok: usage.ok ? 1 : 0 });
+    },
+    redactTranscript(callId) {
+      redact.run(callId);
+    },
+    getCall(callId) {
+      const row = selectCall.get(callId);
+      if (!row) return null;
+      return {
+        ...toCall(row),
+        turns: selectTurns.all(callId).map(toTurn),
+        providerUsage: selectUsage.all(callId).map(toUsage),
+      };
+    },
+    listCalls({ limit = 50, offset = 0, ...filter } = {}) {
+      const conditions = {
+        phoneNumberId: "phone_number_id = @phoneNumberId",
+        waId: "wa_id = @waId",
+        direction: "direction = @direction",
+        endReason: "end_reason = @endReason",
+        from: "started_at >= @from",
+        to: "started_at < @to",
+      };
+      const used = Object.keys(conditions).filter((k) => filter[k] != null && filter[k] !== "");
+      const params = Object.fromEntries(used.map((k) => [k, filter[k]]));
+      const where = used.length ? `WHERE ${used.map((k) => conditions[k]).join(" AND ")}` : "";
+
+      const { total } = db.prepare(`SELECT COUNT(*) AS total FROM calls ${where}`).get(params);
+      const rows = db
+        .prepare(`SELECT * FROM calls ${where} ORDER BY started_at DESC LIMIT @limit OFFSET @offset`)
+        .all({ ...params, limit, offset });
+      return { total, calls: rows.map(toCall) };
+    },
+    savePermission(phoneNumberId, waId, p) {
+      upsertPermission.run({
+        phoneNumberId,
+        waId,
+        status: p.status,
+        requestedAt: p.requestedAt ?? null,
+        updatedAt: p.updatedAt ?? null,
+        expiresAt: p.expiresAt ?? null,
+        permanent: p.permanent == null ? null : p.permanent ? 1 : 0,
+        source: p.source ?? null,
+      });
+    },
+    listPermissions() {
+      return selectPermissions.all().map(toPermission);
+    },
+  };
+});
+
+// =================================================
+//                  REMOTE ICE
+// =================================================
+// Candidates can arrive before the connect event (no call yet) or before
+// setRemoteDescription finishes. Early ones wait in pendingIce; once the call
+// exists they live on state.remoteIce until the remote description is set.
+const ICE_PENDING_TTL_MS = 30000;
+const ICE_MAX_PER_CALL = 50;
+const pendingIce = new Map(); // callId -> { candidates, timer }
+
+function parseRemoteIce(ice) {
+  if (!ice) return null;
+  if (typeof ice === "string") ice = { candidate: ice };
+  if (typeof ice !== "object") return null;
+
+  const candidate = typeof ice.candidate === "string" ? ice.candidate.trim() : "";
+  if (!/^(a=)?candidate:/.test(candidate)) return null;
+
+  const sdpMid = ice.sdpMid ?? ice.sdp_mid ?? null;
+  let sdpMLineIndex = ice.sdpMLineIndex ?? ice.sdp_m_line_index ?? null;
+  if (sdpMLineIndex !== null) sdpMLineIndex = Number(sdpMLineIndex);
+  if (sdpMLineIndex !== null && !Number.isInteger(sdpMLineIndex)) return null;
+  if (sdpMid === null && sdpMLineIndex === null) sdpMLineIndex = 0; // single audio m-line
+
+  return { candidate: candidate.replace(/^a=/, ""), sdpMid, sdpMLineIndex };
+}
+
+async function handleRemoteIce(callId, ice) {
+  const cand = parseRemoteIce(ice);
+  if (!cand) {
+    console.warn("⚠️ Rejected malformed ICE candidate →", callId, JSON.stringify(ice));
+    return;
+  }
+
+  const state = calls.get(callId);
+  if (!state) return bufferPendingIce(callId, cand);
+
+  if (!addUniqueIce(state.remoteIce, cand)) return;
+  if (state.pc && state.remoteDescriptionSet) await applyRemoteIce(state, cand);
+}
+
+function bufferPendingIce(callId, cand) {
+  let entry = pendingIce.get(callId);
+  if (!entry) {
+    entry = {
+      candidates: [],
+      timer: setTimeout(() => pendingIce.delete(callId), ICE_PENDING_TTL_MS),
+    };
+    pendingIce.set(callId, entry);
+  }
+  if (addUniqueIce(entry.candidates, cand))
+    console.log("🧊 Buffered ICE for unknown call →", callId);
+}
+
+function takePendingIce(callId) {
+  const entry = pendingIce.get(callId);
+  if (!entry) return [];
+  clearTimeout(entry.timer);
+  pendingIce.delete(callId);
+  return entry.candidates;
+}
+
+function addUniqueIce(list, cand) {
+  if (list.some((c) => c.candidate === cand.candidate)) return false;
+  if (list.length >= ICE_MAX_PER_CALL) {
+    console.warn("⚠️ Too many ICE candidates, dropping →", cand.candidate);
+    return false;
+  }
+  list.push(cand);
+  return true;
+}
+
+async function applyRemoteIce(state, cand) {
+  try {
+    await state.pc.addIceCandidate(cand);
+  } catch (e) {
+    console.error("ICE ADD ERROR →", state.callId, e.message);
+  }
+}
+
+async function flushRemoteIce(state) {
+  for (const cand of state.remoteIce) await applyRemoteIce(state, cand);
+}
+
+// =================================================
+//                  AUDIO FORMAT
+// =================================================
+// Everything inside a call runs on 16-bit mono PCM at CALL_SAMPLE_RATE (what
+// the outgoing RTCAudioSource is fed). Caller frames are downmixed and
+// resampled on the way in, TTS audio on the way out, and utterances are
+// resampled to STT_SAMPLE_RATE before upload.
+const CALL_SAMPLE_RATE = 48000;
+const STT_SAMPLE_RATE = Number(process.env.STT_SAMPLE_RATE || 16000);
+
+// Interleaved multi-channel → mono by averaging channels
+function toMono(samples, channelCount = 1) {
+  if (channelCount <= 1) return samples;
+  const out = new Int16Array(Math.floor(samples.length / channelCount));
+  for (let i = 0; i < out.length; i++) {
+    let sum = 0;
+    for (let c = 0; c < channelCount; c++) sum += samples[i * channelCount + c];
+    out[i] = sum / channelCount;
+  }
+  return out;
+}
 
-// =============== WEBHOOK EVENTS ===============
-app.post("/webhook", async (req, res) => {
-  (async () => {
-    try {
-      const entries = req.body.entry || [];
-      for (const ent of entries) {
-        for (const ch of ent.changes || []) {
-          const val = ch.value || {};
-          const phoneNumberId = val.metadata?.phone_number_id;
-          const arr = val.calls || [];
-
-          for (const c of arr) {
-            const callId = c.id;
-            const event = (c.event || "").toLowerCase();
-
-            if (event === "connect") await handleOffer(callId, c.session.sdp, phoneNumberId);
-            if (event === "ice_candidate") await handleRemoteIce(callId, c.ice);
-            if (["end", "terminate"].includes(event)) cleanup(callId);
-          }
-        }
-      }
-    } catch (e) {
-      console.error("WEBHOOK ERROR →", e);
+// Streaming linear-interpolation resampler; keeps state across chunks so
+// consecutive chunks join without clicks. Downsampling runs a one-pole
+// low-pass first to keep aliasing down.
+function createResampler(fromRate, toRate) {
+  if (fromRate === toRate) return (input) => input;
+
+  const step = fromRate / toRate;
+  const alpha = fromRate > toRate ? 1 - Math.exp((-2 * Math.PI * 0.45 * toRate) / fromRate) : 1;
+  let lp = 0;
+  let prev = 0; // last (filtered) input sample of the previous chunk, at index -1
+  let pos = 0; // input position of the next output sample
+
+  return (input) => {
+    const x = new Float32Array(input.length);
+    for (let i = 0; i < input.length; i++) {
+      lp += alpha * (input[i] - lp);
+      x[i] = lp;
     }
-  })();
 
-  res.send("OK");
-});
+    const out = new Int16Array(Math.max(0, Math.ceil((input.length - 1 - pos) / step)));
+    let n = 0;
+    for (; pos < input.length - 1 && n < out.length; pos += step) {
+      const i = Math.floor(pos);
+      const frac = pos - i;
+      const a = i < 0 ? prev : x[i];
+      out[n++] = a + (x[i + 1] - a) * frac;
+    }
 
-// =====================================================
-//                      HANDLE CALL OFFER
-// =====================================================
-async function handleOffer(callId, offerSDP, phoneNumberId) {
-  console.log("📞 Call incoming →", callId);
+    if (input.length) {
+      prev = x[input.length - 1];
+      pos -= input.length;
+    }
+    return out.subarray(0, n);
+  };
+}
 
-  if (calls.has(callId)) cleanup(callId);
+function resample(samples, fromRate, toRate) {
+  return createResampler(fromRate, toRate)(samples);
+}
 
-  let retry = 0;
+// 16-bit PCM (interleaved if multi-channel) → in-memory WAV file
+function encodeWav(samples, sampleRate, channels = 1) {
+  const dataBytes = samples.length * 2;
+  const buf = Buffer.alloc(44 + dataBytes);
+  buf.write("RIFF", 0);
+  buf.writeUInt32LE(36 + dataBytes, 4);
+  buf.write("WAVE", 8);
+  buf.write("fmt ", 12);
+  buf.writeUInt32LE(16, 16); // fmt chunk size
+  buf.writeUInt16LE(1, 20); // PCM
+  buf.writeUInt16LE(channels, 22);
+  buf.writeUInt32LE(sampleRate, 24);
+  buf.writeUInt32LE(sampleRate * channels * 2, 28); // byte rate
+  buf.writeUInt16LE(channels * 2, 32); // block align
+  buf.writeUInt16LE(16, 34); // bits per sample
+  buf.write("data", 36);
+  buf.writeUInt32LE(dataBytes, 40);
+  Buffer.from(samples.buffer, samples.byteOffset, dataBytes).copy(buf, 44);
+  return buf;
+}
 
-  async function connectPeer() {
-    try {
-      retry++;
-      console.log(`🔄 WebRTC Connect Attempt #${retry}`);
+// WAV file → { samples, sampleRate, channels }; 16-bit PCM only
+function decodeWav(buf) {
+  if (buf.toString("ascii", 0, 4) !== "RIFF" || buf.toString("ascii", 8, 12) !== "WAVE") {
+    throw new Error("not a WAV file");
+  }
+  let fmt = null;
+  for (let off = 12; off + 8 <= buf.length; ) {
+    const id = buf.toString("ascii", off, off + 4);
+    const size = buf.readUInt32LE(off + 4);
+    const body = off + 8;
+    if (id === "fmt ") {
+      fmt = {
+        format: buf.readUInt16LE(body),
+        channels: buf.readUInt16LE(body + 2),
+        sampleRate: buf.readUInt32LE(body + 4),
+        bits: buf.readUInt16LE(body + 14),
+      };
+    } else if (id === "data") {
+      if (!fmt || (fmt.format !== 1 && fmt.format !== 0xfffe) || fmt.bits !== 16) {
+        throw new Error("only 16-bit PCM WAV is supported");
+      }
+      const bytes = Math.min(size, buf.length - body) & ~1;
+      const samples = new Int16Array(bytes / 2);
+      Buffer.from(samples.buffer).set(buf.subarray(body, body + bytes));
+      return { samples, sampleRate: fmt.sampleRate, channels: fmt.channels };
+    }
+    off = body + size + (size & 1); // chunks are word-aligned
+  }
+  throw new Error("no data chunk");
+}
 
-      const pc = new RTCPeerConnection({
-        iceServers: [{ urls: "stun:stun.l.google.com:19302" }],
-      });
+// Sink frame → mono CALL_SAMPLE_RATE samples, following format changes
+function createInputConverter() {
+  let rate = 0;
+  let resampler = null;
+  return ({ samples, sampleRate = CALL_SAMPLE_RATE, channelCount = 1 }) => {
+    if (sampleRate !== rate) {
+      rate = sampleRate;
+      resampler = createResampler(sampleRate, CALL_SAMPLE_RATE);
+    }
+    return resampler(toMono(samples, channelCount));
+  };
+}
 
-      const audioSrc = new nonstandard.RTCAudioSource();
-      const outTrack = audioSrc.createTrack();
-      pc.addTrack(outTrack);
+// =================================================
+//            VOICE ACTIVITY DETECTION
+// =================================================
+// Energy-based endpointing: a frame is voiced when its RMS clears both the
+// fixed threshold and a multiple of the tracked noise floor. Speech starts
+// after VAD_START_MS of voiced audio and ends after VAD_SILENCE_MS of silence.
+const VAD_THRESHOLD = Number(process.env.VAD_THRESHOLD || 500);
+const VAD_START_MS = Number(process.env.VAD_START_MS || 60);
+const VAD_SILENCE_MS = Number(process.env.VAD_SILENCE_MS || 700);
+const VAD_PREROLL_MS = Number(process.env.VAD_PREROLL_MS || 200);
+const VAD_MIN_UTTERANCE_MS = Number(process.env.VAD_MIN_UTTERANCE_MS || 300);
+const VAD_MAX_UTTERANCE_MS = Number(process.env.VAD_MAX_UTTERANCE_MS || 15000);
+
+function frameRms(samples) {
+  let sum = 0;
+  for (let i = 0; i < samples.length; i++) sum += samples[i] * samples[i];
+  return Math.sqrt(sum / (samples.length || 1));
+}
 
-      const sink = new nonstandard.RTCAudioSink(outTrack);
+function createVad({ onUtterance, onSpeechStart }) {
+  let noiseFloor = VAD_THRESHOLD / 2;
+  let speaking = false;
+  let voicedMs = 0;
+  let silenceMs = 0;
+  let speechMs = 0;
+  let preroll = []; // { buf, ms } kept while idle so word onsets aren't clipped
+  let prerollMs = 0;
+  let frames = [];
+
+  function finish() {
+    const utterance = frames;
+    const ms = speechMs;
+    speaking = false;
+    frames = [];
+    speechMs = 0;
+    silenceMs = 0;
+    voicedMs = 0;
+
+    if (ms - VAD_SILENCE_MS < VAD_MIN_UTTERANCE_MS) return;
+    onUtterance(utterance, ms);
+  }
 
-      // ---------------------------
-      // REAL-TIME STREAMING BUFFER
-      // ---------------------------
-      let pcmFrameQueue = [];
-      let lastFrameTime = Date.now();
+  function push(samples, sampleRate = 48000) {
+    const ms = (samples.length / sampleRate) * 1000;
+    const buf = Buffer.from(Int16Array.from(samples).buffer);
+    const rms = frameRms(samples);
+    const voiced = rms > Math.max(VAD_THRESHOLD, noiseFloor * 3);
+
+    if (!speaking) {
+      if (!voiced) noiseFloor = noiseFloor * 0.95 + rms * 0.05;
+
+      preroll.push({ buf, ms });
+      prerollMs += ms;
+      while (prerollMs - preroll[0].ms >= VAD_PREROLL_MS) prerollMs -= preroll.shift().ms;
+
+      voicedMs = voiced ? voicedMs + ms : 0;
+      if (voicedMs < VAD_START_MS) return;
+
+      speaking = true;
+      frames = preroll.map((p) => p.buf);
+      speechMs = prerollMs;
+      preroll = [];
+      prerollMs = 0;
+      onSpeechStart?.();
+      return;
+    }
 
-      sink.ondata = ({ samples }) => {
-        const buf = Buffer.from(Int16Array.from(samples).buffer);
-        pcmFrameQueue.push(buf);
+    frames.push(buf);
+    speechMs += ms;
+    silenceMs = voiced ? 0 : silenceMs + ms;
 
-        // Process every 20–40ms = real time
-        const now = Date.now();
-        if (now - lastFrameTime >= 40) {
-          processAudio(callId, pcmFrameQueue);
-          pcmFrameQueue = [];
-          lastFrameTime = now;
-        }
-      };
+    if (silenceMs >= VAD_SILENCE_MS || speechMs >= VAD_MAX_UTTERANCE_MS) finish();
+  }
 
-      pc.onicecandidate = (e) => {
-        if (e.candidate) sendLocalIce(callId, phoneNumberId, e.candidate);
-      };
+  return { push, isSpeaking: () => speaking };
+}
 
-      pc.onconnectionstatechange = () => {
-        if (["failed", "closed", "disconnected"].includes(pc.connectionState)) {
-          console.log("⚠️ WebRTC disconnected — auto-reconnect...");
-          setTimeout(connectPeer, Math.min(3000 * retry, 30000)); // Exponential Backoff
-        }
-      };
+// =================================================
+//            TURN-TAKING STATE MACHINE
+// =================================================
+// One turn (STT → LLM → TTS) runs at a time per call. Utterances that finish
+// while a turn is running wait in state.turnQueue; the oldest are dropped once
+// the queue is full or they have gone stale.
+const TURN_QUEUE_MAX = Number(process.env.TURN_QUEUE_MAX || 2);
+const TURN_STALE_MS = Number(process.env.TURN_STALE_MS || 10000);
+
+const TURN_TRANSITIONS = {
+  listening: ["thinking", "speaking"],
+  thinking: ["speaking", "listening", "interrupted"],
+  speaking: ["listening", "interrupted"],
+  interrupted: ["thinking", "listening"],
+};
+
+function setTurnState(state, next) {
+  const prev = state.turnState;
+  if (prev === next) return;
+  if (!TURN_TRANSITIONS[prev]?.includes(next)) {
+    console.warn(`⚠️ Invalid turn transition ${prev} → ${next} (${state.callId})`);
+    return;
+  }
+  state.turnState = next;
+  state.turnStateAt = Date.now();
+  console.log(`🔀 ${state.callId}: ${prev} → ${next}`);
+  updateHoldMusic(state);
+}
 
-      await pc.setRemoteDescription({ type: "offer", sdp: offerSDP });
-      const answer = await pc.createAnswer();
-      await pc.setLocalDescription(answer);
+function enqueueTurn(callId, frames) {
+  const state = calls.get(callId);
+  if (!state) return;
 
-      await waitICE(pc);
+  state.turnQueue.push({ frames, at: Date.now() });
+  while (state.turnQueue.length > TURN_QUEUE_MAX) {
+    state.turnQueue.shift();
+    console.log("🗑 Dropped queued utterance →", callId);
+  }
 
-      // Accept call
-      await postCall(phoneNumberId, {
-        messaging_product: "whatsapp",
-        call_id: callId,
-        action: "pre_accept",
-        session: { sdp_type: "answer", sdp: pc.localDescription.sdp },
-      });
+  if (!state.turnBusy) runTurns(state);
+}
 
-      await postCall(phoneNumberId, {
-        messaging_product: "whatsapp",
-        call_id: callId,
-        action: "accept",
-        session: { sdp_type: "answer", sdp: pc.localDescription.sdp },
-      });
+async function runTurns(state) {
+  state.turnBusy = true;
+  try {
+    while (state.turnQueue.length && calls.get(state.callId) === state) {
+      const { frames, at } = state.turnQueue.shift();
+      if (Date.now() - at > TURN_STALE_MS) {
+        console.log("🗑 Dropped stale utterance →", state.callId);
+        continue;
+      }
+
+      state.turns++;
+      setTurnState(state, "thinking");
+      await processAudio(state.callId, frames, at);
+      setTurnState(state, "listening");
+    }
+  } finally {
+    state.turnBusy = false;
+  }
+}
+
+// =================================================
+//                     BARGE-IN
+// =================================================
+// Caller speech during playback cancels the current response; the scheduler
+// fades it out over BARGE_IN_FADE_MS and the VAD utterance that triggered it becomes
+// the next turn.
+const BARGE_IN_ENABLED = process.env.BARGE_IN_ENABLED !== "false";
+const BARGE_IN_FADE_MS = Number(process.env.BARGE_IN_FADE_MS || 60);
+
+function bargeIn(callId) {
+  const state = calls.get(callId);
+  if (!BARGE_IN_ENABLED || !state?.playback || state.turnState !== "speaking") return;
+
+  console.log("✋ Barge-in →", callId);
+  cancelPlayback(state.playback);
+  state.playout?.cancel("speech", BARGE_IN_FADE_MS);
+  setTurnState(state, "interrupted");
+}
 
-      console.log("✨ Call Accepted");
+// One per reply; its signal aborts the reply's LLM and TTS requests
+function createPlayback() {
+  return { cancelled: false, abort: new AbortController() };
+}
 
-      // Silent keepalive
-      const silentInterval = startSilent(audioSrc);
+// Stops queueing the reply and aborts LLM and TTS requests still streaming for it
+function cancelPlayback(playback) {
+  playback.cancelled = true;
+  playback.abort.abort();
+}
 
-      calls.set(callId, { pc, audioSrc, sink, silentInterval });
+// The greeting holds the turn like any reply so early utterances queue behind it
+async function playGreeting(state) {
+  const greeting = state.persona.greeting;
+  if (!greeting || state.turnBusy) return;
 
-    } catch (e) {
-      console.error("❌ Peer Connection Error:", e);
-      setTimeout(connectPeer, Math.min(3000 * retry, 30000));
-    }
+  state.turnBusy = true;
+  try {
+    await speak(state, greeting);
+  } catch (e) {
+    console.error("Greeting error →", e);
+  } finally {
+    state.turnBusy = false;
   }
+  if (state.turnQueue.length) runTurns(state);
+}
 
-  connectPeer();
+function describeTurnState(state) {
+  return {
+    callId: state.callId,
+    phoneNumberId: state.phoneNumberId,
+    direction: state.direction,
+    persona: state.persona.name,
+    turnState: state.turnState,
+    stateForMs: Date.now() - state.turnStateAt,
+    queued: state.turnQueue.length,
+    turns: state.turns,
+    historyLength: state.history.length,
+    lastTtfaMs: state.ttfaMs[state.ttfaMs.length - 1] ?? null,
+    avgTtfaMs: state.ttfaMs.length
+      ? Math.round(state.ttfaMs.reduce((a, b) => a + b, 0) / state.ttfaMs.length)
+      : null,
+    candidatePair: state.candidatePair || null,
+    quality: summarizeQuality(state.quality),
+    consent: state.consent || null,
+  };
 }
 
 // =================================================
 //         REAL-TIME AUDIO PROCESSING
 // =================================================
-async function processAudio(callId, frameList) {
+async function processAudio(callId, frameList, endedAt = Date.now()) {
   try {
-    const pcm = Buffer.concat(frameList);
-    if (pcm.length < 960 * 2) return; // ignore tiny data
+    const callPcm = Buffer.concat(frameList);
+    if (callPcm.length < 960 * 2) return; // ignore tiny data
 
-    const tmpPcm = `tmp_pcm_${callId}.pcm`;
-    const tmpWav = `tmp_wav_${callId}.wav`;
+    const samples = new Int16Array(callPcm.buffer, callPcm.byteOffset, callPcm.length / 2);
+    const wav = encodeWav(resample(samples, CALL_SAMPLE_RATE, STT_SAMPLE_RATE), STT_SAMPLE_RATE);
 
-    fs.writeFileSync(tmpPcm, pcm);
-
-    await execPromise(
-      `ffmpeg -y -f s16le -ar 48000 -ac 1 -i ${tmpPcm} ${tmpWav}`
-    );
+    const state = calls.get(callId);
+    if (!state) return;
 
-    const text = await stt(tmpWav);
+    const sttStartedAt = Date.now();
+    const text = await stt(wav, state.persona, usageRecorder(state));
     if (!text.trim()) return;
 
-    console.log("🎙 User:", text);
+    if (isOptOut(state, text)) return optOut(state, "speech");
+    console.log("🎙 User:", retainsCallData(state) ? text : "(not retained)");
 
-    const response = await aiReply(text);
-    console.log("🤖 AI:", response);
+    let hangup = false;
+    const playback = createPlayback();
+    const tokens = withoutHangupMarker(aiReplyStream(state, text, playback.abort.signal), () => (hangup = true));
+    state.history.push({ role: "user", text });
+    recordTurn(state, { role: "user", text, at: endedAt, sttMs: Date.now() - sttStartedAt });
+    const reply = await speak(state, tokens, endedAt, playback);
+    console.log("🤖 AI:", retainsCallData(state) ? reply.text : "(not retained)");
 
-    await ttsStream(response, calls.get(callId)?.audioSrc);
+    // A barge-in means the caller still had something to say
+    if (hangup && !reply.interrupted) return terminateCall(callId, "bot_hangup");
+
+    compactHistory(state).catch((e) => console.error("History compaction error →", e));
   } catch (e) {
     console.error("Realtime audio error →", e);
   }
 }
 
+// Plays an assistant reply and records it in history, marking barge-ins.
+// `text` is a string or an async iterable of text deltas; for a stream, pass
+// the playback whose signal the stream was opened with.
+async function speak(state, text, startedAt = Date.now(), playback = createPlayback()) {
+  const reply = { role: "assistant", text: "", interrupted: false };
+  state.history.push(reply);
+
+  const deltas = typeof text === "string" ? once(text) : text;
+  state.playback = playback;
+  let ttfa = null;
+  const played = await speakStream(state, deltas, state.playback, reply, () => {
+    ttfa = Date.now() - startedAt;
+    state.ttfaMs.push(ttfa);
+    if (state.ttfaMs.length > 50) state.ttfaMs.shift();
+    console.log(`⏱ Time to first audio: ${ttfa}ms`);
+    setTurnState(state, "speaking");
+  });
+  state.playback = null;
+
+  if (played.interrupted) {
+    reply.interrupted = true;
+    reply.spokenRatio = reply.text ? played.spokenChars / reply.text.length : 0;
+    console.log(`✂️ AI reply interrupted at ${Math.round(reply.spokenRatio * 100)}%`);
+  }
+  recordTurn(state, {
+    role: "assistant",
+    text: reply.text,
+    at: startedAt,
+    ttfaMs: ttfa,
+    durationMs: Date.now() - startedAt,
+    interrupted: reply.interrupted,
+    spokenRatio: reply.spokenRatio,
+  });
+  setTurnState(state, "listening");
+  return reply;
+}
+
 // =================================================
 //                     STT
 // =================================================
-async function stt(file) {
-  const FormData = require("form-data");
-  const form = new FormData();
-  form.append("file", fs.createReadStream(file));
-  form.append("model", "whisper-1");
-
-  const r = await safePOST(
-    "https://api.openai.com/v1/audio/transcriptions",
-    form,
-    { Authorization: `Bearer ${OPENAI_API_KEY}`, ...form.getHeaders() }
-  );
-
-  return r?.data?.text || "";
+async function stt(wav, persona, onUsage) {
+  try {
+    return await runChain(
+      "stt",
+      persona.stt,
+      (p, name, signal) => p.transcribe(wav, { language: persona.language, signal }),
+      onUsage
+    );
+  } catch (e) {
+    console.error("STT ERROR →", e.message);
+    return "";
+  }
 }
 
 // =================================================
 //                     AI MODEL
 // =================================================
-async function aiReply(text) {
-  if (AI_MODEL === "chatgpt") {
-    const r = await safePOST(
-      "https://api.openai.com/v1/chat/completions",
-      { model: "gpt-4o-mini", messages: [{ role: "user", content: text }] },
-      { Authorization: `Bearer ${OPENAI_API_KEY}` }
+const BOT_HANGUP_ENABLED = process.env.BOT_HANGUP_ENABLED !== "false";
+const HANGUP_MARKER = "[END_CALL]";
+
+// Async iterable of reply text deltas, cut short when signal aborts. The
+// prompt is built right away, from the history as it is now: the caller's
+// turn and the reply are pushed to state.history before anything pulls from
+// the stream.
+function aiReplyStream(state, text, signal) {
+  return llmStream(state.persona, systemText(state), conversationMessages(state, text), usageRecorder(state), signal);
+}
+
+async function* llmStream(persona, system, messages, onUsage, signal) {
+  try {
+    yield* streamChain("llm", persona.llm, (p, name, attemptSignal) => {
+      const opts = { model: persona.models?.[name], persona, signal: attemptSignal };
+      return p.stream ? p.stream(system, messages, opts) : once(p.complete(system, messages, opts));
+    }, onUsage, signal);
+  } catch (e) {
+    console.error("LLM ERROR →", e.message);
+    yield "I didn't get that.";
+  }
+}
+
+// Strips the hang-up marker from reply deltas (it may arrive split across
+// several) and reports whether the model used it.
+async function* withoutHangupMarker(deltas, onHangup) {
+  let held = "";
+  for await (const delta of deltas) {
+    held += delta;
+    const at = held.indexOf(HANGUP_MARKER);
+    if (at >= 0) {
+      onHangup();
+      held = held.slice(0, at) + held.slice(at + HANGUP_MARKER.length);
+    }
+
+    // Hold back a tail that could be the start of the marker
+    let keep = Math.min(HANGUP_MARKER.length - 1, held.length);
+    while (keep && !HANGUP_MARKER.startsWith(held.slice(-keep))) keep--;
+    if (held.length > keep) {
+      yield held.slice(0, held.length - keep);
+      held = held.slice(held.length - keep);
+    }
+  }
+  if (held) yield held;
+}
+
+// Resolves null when the whole chain failed. Background work such as
+// summarization passes { canned: false } so it never stores a canned reply.
+async function chatComplete(system, messages, persona, { canned = true, onUsage } = {}) {
+  const chain = persona.llm.filter((name) => canned || !getProvider("llm", name).canned);
+  try {
+    return await runChain(
+      "llm",
+      chain,
+      (p, name, signal) => p.complete(system, messages, { model: persona.models?.[name], persona, signal }),
+      onUsage
     );
+  } catch (e) {
+    console.error("LLM ERROR →", e.message);
+    return null;
+  }
+}
+
+// =================================================
+//               CONVERSATION MEMORY
+// =================================================
+// state.history holds user/assistant pairs. Once it outgrows
+// HISTORY_TOKEN_BUDGET the oldest pairs are folded into state.summary.
+const HISTORY_TOKEN_BUDGET = Number(process.env.HISTORY_TOKEN_BUDGET || 2000);
+
+// Rough count (~4 chars per token), good enough for budgeting
+function estimateTokens(text) {
+  return Math.ceil((text || "").length / 4);
+}
+
+function historyTokens(state) {
+  return state.history.reduce((n, t) => n + estimateTokens(t.text), estimateTokens(state.summary));
+}
+
+// What the caller actually heard of a reply
+function spokenText(turn) {
+  if (!turn.interrupted) return turn.text;
+  const cut = Math.floor(turn.text.length * (turn.spokenRatio ?? 1));
+  return `${turn.text.slice(0, cut)}… [interrupted by caller]`;
+}
+
+function conversationMessages(state, text) {
+  const messages = state.history.map((t) => ({
+    role: t.role,
+    content: t.role === "assistant" ? spokenText(t) : t.text,
+  }));
+  messages.push({ role: "user", content: text });
+  return messages;
+}
+
+function systemText(state) {
+  const { systemPrompt, language } = state.persona;
+  return [
+    systemPrompt,
+    language && `Always reply in the language with code "${language}".`,
+    BOT_HANGUP_ENABLED &&
+      `When the conversation is finished and you have said goodbye, end your reply with ${HANGUP_MARKER} to hang up.`,
+    state.summary && `Summary of the conversation so far: ${state.summary}`,
+  ]
+    .filter(Boolean)
+    .join("\n\n");
+}
+
+async function compactHistory(state) {
+  if (state.compacting || historyTokens(state) <= HISTORY_TOKEN_BUDGET) return;
 
-    return r?.data?.choices?.[0]?.message?.content || "";
+  const old = [];
+  while (state.history.length > 2 && historyTokens(state) > HISTORY_TOKEN_BUDGET / 2) {
+    old.push(...state.history.splice(0, 2));
   }
+  if (!old.length) return;
 
-  // Gemini
-  const r = await safePOST(
-    `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash:generateContent?key=${GOOGLE_API_KEY}`,
-    { contents: [{ parts: [{ text }] }] },
-    { "Content-Type": "application/json" }
-  );
+  state.compacting = true;
+  try {
+    const transcript = old
+      .map((t) => `${t.role === "user" ? "Caller" : "Assistant"}: ${t.role === "assistant" ? spokenText(t) : t.text}`)
+      .join("\n");
+    const summary = await chatComplete(
+      "Summarize this phone conversation in a few sentences. Keep names, numbers, requests and commitments.",
+      [{ role: "user", content: [state.summary, transcript].filter(Boolean).join("\n\n") }],
+      state.persona,
+      { canned: false, onUsage: usageRecorder(state) }
+    );
 
-  return (
-    r?.data?.candidates?.[0]?.content?.[0]?.parts?.[0]?.text ||
-    "I didn't get that."
-  );
+    // If summarization fails the oldest turns are simply forgotten
+    if (summary) state.summary = summary;
+    console.log(`🗜 Compacted ${old.length} turns →`, state.callId);
+  } finally {
+    state.compacting = false;
+  }
 }
 
 // =================================================
-//                     TTS STREAM
+//              STREAMING REPLY → TTS
 // =================================================
-async function ttsStream(text, src) {
-  if (!src) return;
-
-  const r = await safePOST(
-    "https://api.openai.com/v1/audio/speech",
-    {
-      model: "gpt-4o-mini-tts",
-      voice: "alloy",
-      format: "pcm16",
-      input: text,
+// LLM deltas are cut into sentences (or long clauses), each chunk is sent to
+// TTS as soon as it is complete, and playback starts with the first audio
+// while later chunks are still being generated and synthesized.
+const TTS_CLAUSE_MIN_CHARS = Number(process.env.TTS_CLAUSE_MIN_CHARS || 40);
+
+async function* sentenceChunks(deltas) {
+  let buf = "";
+  for await (const delta of deltas) {
+    buf += delta;
+    let cut;
+    while ((cut = chunkBoundary(buf)) > 0) {
+      const chunk = buf.slice(0, cut).trim();
+      buf = buf.slice(cut);
+      if (chunk) yield chunk;
+    }
+  }
+  if (buf.trim()) yield buf.trim();
+}
+
+// Index just past the first sentence end, or past a clause break once the
+// buffer is long enough to be worth synthesizing on its own; 0 if neither
+function chunkBoundary(buf) {
+  const sentence = buf.search(/[.!?…。！？](\s|$)/);
+  if (sentence >= 0 && sentence + 1 < buf.length) return sentence + 1;
+  if (buf.length < TTS_CLAUSE_MIN_CHARS) return 0;
+  const clause = buf.slice(TTS_CLAUSE_MIN_CHARS - 1).search(/[,;:—](\s)/);
+  return clause >= 0 ? TTS_CLAUSE_MIN_CHARS + clause : 0;
+}
+
+// Minimal async queue: push/end on one side, for-await on the other
+function createAsyncQueue() {
+  const items = [];
+  let waiting = null;
+  let ended = false;
+  const wake = () => {
+    waiting?.();
+    waiting = null;
+  };
+  return {
+    push(item) {
+      items.push(item);
+      wake();
+    },
+    end() {
+      ended = true;
+      wake();
+    },
+    async *[Symbol.asyncIterator]() {
+      while (true) {
+        if (items.length) yield items.shift();
+        else if (ended) return;
+        else await new Promise((r) => (waiting = r));
+      }
+    },
+  };
+}
+
+// Starts consuming an async iterable right away, buffering what it yields
+// until signal aborts
+function prefetch(iterable, signal) {
+  const q = createAsyncQueue();
+  (async () => {
+    try {
+      for await (const item of iterable) {
+        if (signal?.aborted) break;
+        q.push(item);
+      }
+    } catch (e) {
+      console.error("TTS ERROR →", e.message);
+    } finally {
+      q.end();
+    }
+  })();
+  return q;
+}
+
+function ttsChunkStream(text, persona, onUsage, signal) {
+  return streamChain(
+    "tts",
+    persona.tts,
+    (p, name, attemptSignal) => {
+      const opts = { voice: persona.voice, signal: attemptSignal };
+      return p.synthesizeStream ? p.synthesizeStream(text, opts) : once(p.synthesize(text, opts));
     },
-    { Authorization: `Bearer ${OPENAI_API_KEY}`, responseType: "arraybuffer" }
+    onUsage,
+    signal
   );
+}
 
-  if (!r?.data) return;
+async function speakStream(state, deltas, playback, reply, onFirstAudio) {
+  const jobs = createAsyncQueue();
+  const { signal } = playback.abort;
+  const progress = []; // per chunk: { chars, queued, played }, played/queued in samples
+  let started = false;
 
-  const pcm = new Int16Array(r.data);
-  const FRAME = 960;
+  // A barge-in ends the reply at once: the queue is closed, and the producer
+  // (its LLM stream aborted by the same signal) is not waited for
+  signal.addEventListener("abort", () => jobs.end(), { once: true });
 
-  for (let i = 0; i < pcm.length; i += FRAME) {
-    const slice = pcm.subarray(i, i + FRAME);
+  const producer = (async () => {
+    try {
+      for await (const chunk of sentenceChunks(deltas)) {
+        if (playback.cancelled) break;
+        reply.text += (reply.text ? " " : "") + chunk;
+        jobs.push({ chunk, audio: prefetch(ttsChunkStream(chunk, state.persona, usageRecorder(state), signal), signal) });
+      }
+    } catch (e) {
+      console.error("Reply stream error →", e);
+    } finally {
+      jobs.end();
+    }
+  })();
 
-    src.onData({
-      samples: slice,
-      sampleRate: 48000,
-      bitsPerSample: 16,
-      channelCount: 1,
-    });
+  // Audio is handed to the scheduler as it arrives. A chunk's text counts as
+  // spoken in proportion to the samples the scheduler actually played.
+  const { playout } = state;
+  const onStart = () => {
+    if (started) return;
+    started = true;
+    onFirstAudio?.();
+  };
+  let rate = 0;
+  let toCallRate = null;
+  for await (const { chunk, audio } of jobs) {
+    if (playback.cancelled) break;
+    const p = { chars: chunk.length + (progress.length ? 1 : 0), queued: 0, played: 0 };
+    progress.push(p);
+    for await (const { pcm, sampleRate } of audio) {
+      if (playback.cancelled || !playout) break;
+      if (sampleRate !== rate) {
+        rate = sampleRate;
+        toCallRate = createResampler(sampleRate, CALL_SAMPLE_RATE);
+      }
 
-    await sleep(20);
+      const samples = toCallRate(pcm);
+      p.queued += samples.length;
+      playout.enqueue("speech", samples, onStart, (n) => (p.played += n));
+    }
+    if (playback.cancelled) break;
   }
+
+  if (!playback.cancelled) await producer;
+  await playout?.drain("speech");
+  const spokenChars = progress.reduce((sum, p) => sum + (p.queued ? (p.chars * p.played) / p.queued : 0), 0);
+  return { spokenChars: Math.round(spokenChars), interrupted: !!playback.cancelled };
 }
 
 // =================================================
-//                     HELPERS
+//                PLAYOUT SCHEDULER
 // =================================================
-function startSilent(src) {
-  const silent = new Int16Array(960);
-  return setInterval(() => {
-    src.onData({
-      samples: silent,
-      sampleRate: 48000,
-      bitsPerSample: 16,
-      channelCount: 1,
-    });
-  }, 20);
+// Each call has one scheduler and it is the only writer to the call's
+// RTCAudioSource: exactly one PLAYOUT_FRAME_MS frame per tick. Ticks are timed
+// against the scheduler's start time, so setTimeout drift is caught up rather
+// than accumulated. A tick plays the highest-priority voice source with audio
+// queued (speech over prompts), mixes looping hold music underneath (ducked
+// while a voice plays) and falls back to comfort noise when nothing is queued.
+const PLAYOUT_FRAME_MS = 10;
+const PLAYOUT_FRAME = (CALL_SAMPLE_RATE * PLAYOUT_FRAME_MS) / 1000;
+const PLAYOUT_MAX_CATCHUP = 5; // frames; longer stalls are skipped, not burst out
+const PLAYOUT_PRIORITY = { speech: 2, prompt: 1 };
+const MUSIC_DUCK_GAIN = 0.2;
+const COMFORT_NOISE_LEVEL = Number(process.env.COMFORT_NOISE_LEVEL || 20);
+
+// onFrame sees every frame sent, e.g. for call recording
+function createPlayout(src, onFrame) {
+  const voices = new Map(); // name → { chunks: [{ pcm, onStart, onPlay }], offset, fade, waiters }
+  let music = null; // { pcm, offset }
+  const startedAt = Date.now();
+  let ticks = 0;
+  let timer = null;
+  let stopped = false;
+
+  function voice(name) {
+    if (!PLAYOUT_PRIORITY[name]) throw new Error(`Unknown playout source "${name}"`);
+    if (!voices.has(name)) voices.set(name, { chunks: [], offset: 0, fade: null, waiters: [] });
+    return voices.get(name);
+  }
+
+  function settle(v) {
+    if (v.chunks.length) return;
+    v.offset = 0;
+    v.fade = null;
+    v.waiters.splice(0).forEach((resolve) => resolve());
+  }
+
+  // Next PLAYOUT_FRAME samples of a voice, zero-padded at the end of its queue
+  function readVoice(v) {
+    const out = new Int16Array(PLAYOUT_FRAME);
+    let n = 0;
+    while (n < PLAYOUT_FRAME && v.chunks.length) {
+      const c = v.chunks[0];
+      if (v.offset === 0) c.onStart?.();
+      const take = Math.min(PLAYOUT_FRAME - n, c.pcm.length - v.offset);
+      out.set(c.pcm.subarray(v.offset, v.offset + take), n);
+      c.onPlay?.(take);
+      n += take;
+      v.offset += take;
+      if (v.offset >= c.pcm.length) {
+        v.chunks.shift();
+        v.offset = 0;
+      }
+    }
+
+    if (v.fade) {
+      rampGain(out, v.fade.left / v.fade.total, (v.fade.left - 1) / v.fade.total);
+      if (--v.fade.left <= 0) v.chunks = [];
+    }
+    settle(v);
+    return out;
+  }
+
+  function mixMusic(frame, gain) {
+    for (let i = 0; i < frame.length; i++) {
+      const sample = frame[i] + music.pcm[music.offset] * gain;
+      frame[i] = Math.max(-32768, Math.min(32767, sample));
+      music.offset = (music.offset + 1) % music.pcm.length;
+    }
+  }
+
+  function comfortNoise() {
+    const out = new Int16Array(PLAYOUT_FRAME);
+    if (COMFORT_NOISE_LEVEL > 0) {
+      for (let i = 0; i < out.length; i++) out[i] = (Math.random() * 2 - 1) * COMFORT_NOISE_LEVEL;
+    }
+    return out;
+  }
+
+  function nextFrame() {
+    let top = null;
+    for (const [name, v] of voices) {
+      if (v.chunks.length && (!top || PLAYOUT_PRIORITY[name] > PLAYOUT_PRIORITY[top.name])) top = { name, v };
+    }
+
+    if (top) {
+      const frame = readVoice(top.v);
+      if (music) mixMusic(frame, MUSIC_DUCK_GAIN);
+      return frame;
+    }
+    if (music) {
+      const frame = new Int16Array(PLAYOUT_FRAME);
+      mixMusic(frame, 1);
+      return frame;
+    }
+    return comfortNoise();
+  }
+
+  function emit(samples) {
+    try {
+      onFrame?.(samples);
+      src.onData({
+        samples,
+        sampleRate: CALL_SAMPLE_RATE,
+        bitsPerSample: 16,
+        channelCount: 1,
+        numberOfFrames: PLAYOUT_FRAME,
+      });
+    } catch (e) {
+      console.error("Playout error →", e.message);
+    }
+  }
+
+  function tick() {
+    if (stopped) return;
+    const due = Math.floor((Date.now() - startedAt) / PLAYOUT_FRAME_MS) + 1;
+    if (due - ticks > PLAYOUT_MAX_CATCHUP) ticks = due - 1;
+    while (ticks < due) {
+      emit(nextFrame());
+      ticks++;
+    }
+    timer = setTimeout(tick, Math.max(0, startedAt + ticks * PLAYOUT_FRAME_MS - Date.now()));
+  }
+
+  tick();
+
+  return {
+    // Queues CALL_SAMPLE_RATE mono PCM; onStart runs when playback reaches it
+    // and onPlay(samples) for every part of it that goes out.
+    // Refused while the source is fading out after cancel().
+    enqueue(name, pcm, onStart, onPlay) {
+      const v = voice(name);
+      if (stopped || v.fade) return false;
+      v.chunks.push({ pcm, onStart, onPlay });
+      return true;
+    },
+    // Resolves once everything queued on the source has played (or was cancelled)
+    drain(name) {
+      const v = voice(name);
+      if (!v.chunks.length) return Promise.resolve();
+      return new Promise((resolve) => v.waiters.push(resolve));
+    },
+    cancel(name, fadeMs = 0) {
+      const v = voice(name);
+      if (!v.chunks.length || v.fade) return;
+      const total = Math.max(1, Math.ceil(fadeMs / PLAYOUT_FRAME_MS));
+      v.fade = { left: total, total };
+    },
+    isPlaying(name) {
+      return voice(name).chunks.length > 0;
+    },
+    // Loops hold music under everything else; pass null to stop it
+    loop(pcm) {
+      music = pcm?.length ? { pcm, offset: 0 } : null;
+    },
+    stop() {
+      stopped = true;
+      clearTimeout(timer);
+      for (const v of voices.values()) {
+        v.chunks = [];
+        settle(v);
+      }
+    },
+  };
+}
+
+// In-place linear gain ramp from `from` to `to` across a frame
+function rampGain(frame, from, to) {
+  for (let i = 0; i < frame.length; i++) {
+    frame[i] = frame[i] * (from + ((to - from) * i) / frame.length);
+  }
+}
+
+// =================================================
+//                   HOLD MUSIC
+// =================================================
+// A persona's holdMusic WAV loops on the scheduler once the bot has been
+// thinking for HOLD_MUSIC_DELAY_MS, so quick replies don't start it, and
+// stops on any other turn state. Files are decoded on first use and cached.
+const HOLD_MUSIC_DELAY_MS = Number(process.env.HOLD_MUSIC_DELAY_MS || 1000);
+const holdMusicCache = new Map(); // file → CALL_SAMPLE_RATE mono PCM, or null if unusable
+
+function loadHoldMusic(file) {
+  if (!holdMusicCache.has(file)) {
+    try {
+      const { samples, sampleRate, channels } = decodeWav(fs.readFileSync(file));
+      holdMusicCache.set(file, resample(toMono(samples, channels), sampleRate, CALL_SAMPLE_RATE));
+    } catch (e) {
+      console.error("HOLD MUSIC ERROR →", file, e.message);
+      holdMusicCache.set(file, null);
+    }
+  }
+  return holdMusicCache.get(file);
+}
+
+function updateHoldMusic(state) {
+  clearTimeout(state.holdMusicTimer);
+  state.playout?.loop(null);
+  if (state.turnState !== "thinking" || !state.persona.holdMusic) return;
+
+  state.holdMusicTimer = setTimeout(() => {
+    if (state.turnState !== "thinking" || calls.get(state.callId) !== state) return;
+    state.playout?.loop(loadHoldMusic(state.persona.holdMusic));
+  }, HOLD_MUSIC_DELAY_MS);
 }
 
-function sleep(ms) { return new Promise(r => setTimeout(r, ms)); }
+// =================================================
+//                     HELPERS
+// =================================================
 
 async function sendLocalIce(callId, phoneNumberId, cand) {
   await postCall(phoneNumberId, {
@@ -328,6 +3268,13 @@ async function sendLocalIce(callId, phoneNumberId, cand) {
   });
 }
 
+// Throwing variant, for callers that report Graph API errors back to a client
+async function graphPOST(path, body) {
+  return axios.post(`${META_BASE_URL}/${META_API_VERSION}/${path}`, body, {
+    headers: { Authorization: `Bearer ${META_ACCESS_TOKEN}` },
+  });
+}
+
 async function postCall(phoneNumberId, body) {
   return safePOST(
     `${META_BASE_URL}/${META_API_VERSION}/${phoneNumberId}/calls`,
@@ -336,35 +3283,234 @@ async function postCall(phoneNumberId, body) {
   );
 }
 
+// Gathering can stall (e.g. an unreachable STUN/TURN server), so after
+// ICE_GATHER_TIMEOUT_MS the SDP goes out with the candidates found so far
+const ICE_GATHER_TIMEOUT_MS = Number(process.env.ICE_GATHER_TIMEOUT_MS || 5000);
+
 async function waitICE(pc) {
   return new Promise((resolve) => {
     if (pc.iceGatheringState === "complete") return resolve();
+    const timer = setTimeout(() => {
+      console.warn("⚠️ ICE gathering timed out, using candidates so far");
+      resolve();
+    }, ICE_GATHER_TIMEOUT_MS);
     pc.onicegatheringstatechange = () => {
-      if (pc.iceGatheringState === "complete") resolve();
+      if (pc.iceGatheringState !== "complete") return;
+      clearTimeout(timer);
+      resolve();
     };
   });
 }
 
-function cleanup(callId) {
+function cleanup(callId, reason = "unknown") {
+  endedCalls.set(callId);
+  takePendingIce(callId);
+
   const c = calls.get(callId);
   if (!c) return;
 
   try {
+    if (c.playback) cancelPlayback(c.playback);
     c.sink?.stop?.();
     c.pc?.close?.();
-    clearInterval(c.silentInterval);
+    c.playout?.stop();
+    clearTimeout(c.ringTimer);
+    clearTimeout(c.durationTimer);
+    clearTimeout(c.mediaLost?.timer);
+    clearTimeout(c.consentTimer);
+    clearTimeout(c.holdMusicTimer);
+    finishQualityStats(c);
+    c.recordingDone = saveRecording(c);
   } catch (_) {}
 
+  c.endReason = reason;
+  c.endedAt = Date.now();
+  recordCallEnd(c);
+
+  c.history = [];
+  c.summary = null;
   calls.delete(callId);
   console.log("🧹 Cleaned", callId);
 }
 
+// =================================================
+//                   ADMIN API
+// =================================================
+// Operator endpoints, all behind ADMIN_API_KEY: live calls from the calls
+// map, single calls (live state merged with the stored record), history from
+// the call store, and force-terminate.
+const ADMIN_PAGE_MAX = 200;
+
+const admin = express.Router();
+admin.use(requireApiKey(ADMIN_API_KEY));
+
+function describeActiveCall(state) {
+  const now = Date.now();
+  return {
+    callId: state.callId,
+    phoneNumberId: state.phoneNumberId,
+    waId: state.waId,
+    direction: state.direction,
+    persona: state.persona.name,
+    status: state.answeredAt ? "active" : state.direction === "outbound" ? "ringing" : "connecting",
+    startedAt: state.startedAt,
+    answeredAt: state.answeredAt || null,
+    durationMs: state.answeredAt ? now - state.answeredAt : 0,
+    turnState: state.turnState,
+    turns: state.turns,
+    connectionState: state.pc?.connectionState || null,
+    mediaLostMs: state.mediaLost ? now - state.mediaLost.since : null,
+    recording: !!state.recorder,
+    consent: state.consent?.status || null,
+    mos: state.quality?.mos.length ? Number(state.quality.mos.at(-1).toFixed(2)) : null,
+  };
+}
+
+// Epoch milliseconds or anything Date.parse() understands; NaN when invalid
+function parseTime(value) {
+  if (value == null || value === "") return undefined;
+  return /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+}
+
+admin.get("/calls/active", (_, res) => {
+  res.json([...calls.values()].map(describeActiveCall));
+});
+
+// History with filters: phone_number_id, wa_id, direction, end_reason,
+// from/to (start time), limit (max ADMIN_PAGE_MAX) and offset
+admin.get("/calls", async (req, res) => {
+  const q = req.query;
+  const from = parseTime(q.from);
+  const to = parseTime(q.to);
+  if (Number.isNaN(from) || Number.isNaN(to)) {
+    return res.status(400).json({ error: "bad_request", message: "from/to must be epoch ms or a date string" });
+  }
+  const limit = Math.min(Math.max(parseInt(q.limit, 10) || 50, 1), ADMIN_PAGE_MAX);
+  const offset = Math.max(parseInt(q.offset, 10) || 0, 0);
+
+  try {
+    await flushCallStore();
+    const { total, calls: page } = await getCallStore().listCalls({
+      phoneNumberId: q.phone_number_id,
+      waId: q.wa_id && waId(q.wa_id),
+      direction: q.direction,
+      endReason: q.end_reason,
+      from,
+      to,
+      limit,
+      offset,
+    });
+    res.json({ total, limit, offset, nextOffset: offset + page.length < total ? offset + page.length : null, calls: page });
+  } catch (e) {
+    console.error("ADMIN HISTORY ERROR →", e.message);
+    res.status(503).json({ error: "store_unavailable", message: e.message });
+  }
+});
+
+// Transcript, timings, provider usage and quality. For a live call the stored
+// record so far is combined with its current state.
+admin.get("/calls/:callId", async (req, res) => {
+  const state = calls.get(req.params.callId);
+  let record = null;
+  try {
+    await flushCallStore();
+    record = await getCallStore().getCall(req.params.callId);
+  } catch (e) {
+    console.error("ADMIN CALL ERROR →", e.message);
+    if (!state) return res.status(503).json({ error: "store_unavailable", message: e.message });
+  }
+  if (!state && !record) return res.status(404).json({ error: "not_found", message: "Unknown call id" });
+  if (!state) return res.json({ active: false, ...record });
+
+  const retained = retainsCallData(state);
+  res.json({
+    active: true,
+    ...record,
+    ...describeActiveCall(state),
+    // Without a store, fall back to the in-memory history (may be summarized)
+    turns: record?.turns ?? state.history.map((t) => ({ role: t.role, text: retained ? t.text : null, interrupted: !!t.interrupted })),
+    summary: retained ? state.summary || null : null,
+    quality: summarizeQuality(state.quality),
+    candidatePair: state.candidatePair || null,
+    consent: state.consent || null,
+  });
+});
+
+admin.post("/calls/:callId/terminate", async (req, res) => {
+  const ok = await terminateCall(req.params.callId, "admin");
+  if (!ok) return res.status(404).json({ error: "not_found", message: "No active call with this id" });
+  res.json({ call_id: req.params.callId, terminated: true });
+});
+
+app.use("/admin", admin);
+
 // =================================================
 // SERVER
 // =================================================
 app.get("/", (_, res) => res.send("WhatsApp AI Voice Server OK"));
 
-app.listen(8080, () => console.log("🚀 Running on port 8080"));
+// Debug views and metrics expose call ids, numbers and call state, so they
+// share the admin key
+const adminOnly = requireApiKey(ADMIN_API_KEY);
+
+// Turn-taking state of live calls, for debugging
+app.get("/debug/calls", adminOnly, (_, res) => {
+  res.json([...calls.values()].map(describeTurnState));
+});
+
+app.get("/metrics", adminOnly, (_, res) => res.type("text/plain; version=0.0.4").send(renderMetrics()));
+
+app.get("/debug/providers", adminOnly, (_, res) => res.json(describeBreakers()));
+
+app.get("/debug/webhooks/unknown", adminOnly, (_, res) => res.json(unknownWebhooks));
+
+app.get("/debug/calls/:callId", adminOnly, (req, res) => {
+  const state = calls.get(req.params.callId);
+  if (!state) return res.sendStatus(404);
+  res.json(describeTurnState(state));
+});
+
+if (require.main === module) {
+  validatePersonas();
+  getCallStore(); // fail fast on a broken store config
+  restoreCallPermissions();
+  app.listen(8080, () => console.log("🚀 Running on port 8080"));
+  // Cloud Run sends SIGTERM before stopping an instance; keep queued records
+  process.on("SIGTERM", () => flushCallStore().finally(() => process.exit(0)));
+}
+
+// Exposed so tests can drive the app, swap in fake providers and watch events
+module.exports = {
+  app,
+  calls,
+  registerProvider,
+  validatePersonas,
+  registerRecordingStore,
+  registerCallStore,
+  getCallStore,
+  restoreCallPermissions,
+  webhookEvents,
+  // Internals, for unit tests
+  helpers: {
+    runChain,
+    streamChain,
+    createTtlStore,
+    parseWebhook,
+    parseRemoteIce,
+    webhookShape,
+    createVad,
+    toMono,
+    createResampler,
+    encodeWav,
+    decodeWav,
+    createPlayout,
+    sentenceChunks,
+    withoutHangupMarker,
+    createDtmfDetector,
+    estimateMos,
+    summarizeQuality,
+  },
+};
 
 
 
@@ -0,0 +1,101 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const h = require("./helpers");
+
+const { calls } = h.server;
+
+test.before(h.listen);
+test.after(h.close);
+
+let clock = 0;
+const ts = () => String(++clock);
+
+const admin = (path, options) => h.request(`/admin${path}`, { key: h.ADMIN_API_KEY, ...options });
+
+async function inboundCall(callId, from = "15550100000") {
+  await h.sendWebhook(
+    h.callEvent({ id: callId, event: "connect", timestamp: ts(), from, session: { sdp_type: "offer", sdp: "v=0" } })
+  );
+  await h.waitFor(() => calls.get(callId)?.playout);
+}
+
+async function endCall(callId) {
+  await h.sendWebhook(h.callEvent({ id: callId, event: "terminate", timestamp: ts(), status: "COMPLETED" }));
+  await h.waitFor(() => !calls.has(callId));
+}
+
+test("the admin API needs the admin key", async () => {
+  assert.equal((await h.request("/admin/calls/active")).status, 401);
+  assert.equal((await h.request("/admin/calls/active", { key: h.CALLS_API_KEY })).status, 401);
+  assert.equal((await admin("/calls/active")).status, 200);
+});
+
+test("live calls are listed and shown with their current state", async () => {
+  await inboundCall("admin-1");
+
+  const active = await (await admin("/calls/active")).json();
+  const listed = active.find((c) => c.callId === "admin-1");
+  assert.equal(listed.direction, "inbound");
+  assert.equal(listed.waId, "15550100000");
+  assert.equal(listed.status, "active");
+
+  const res = await admin("/calls/admin-1");
+  assert.equal(res.status, 200);
+  const call = await res.json();
+  assert.equal(call.active, true);
+  assert.equal(call.phoneNumberId, "PN1");
+  assert.deepEqual(call.turns, []);
+
+  await endCall("admin-1");
+  assert.equal((await (await admin("/calls/active")).json()).some((c) => c.callId === "admin-1"), false);
+});
+
+test("an ended call is served from the call store", async () => {
+  await inboundCall("admin-2");
+  await endCall("admin-2");
+
+  const call = await (await admin("/calls/admin-2")).json();
+  assert.equal(call.active, false);
+  assert.equal(call.endReason, "whatsapp_completed");
+  assert.equal((await admin("/calls/admin-unknown")).status, 404);
+});
+
+test("terminate ends a live call through the Graph API", async () => {
+  await inboundCall("admin-3");
+
+  const res = await admin("/calls/admin-3/terminate", { method: "POST" });
+  assert.deepEqual(await res.json(), { call_id: "admin-3", terminated: true });
+  await h.waitFor(() => !calls.has("admin-3"));
+  assert.ok(h.posts.some((p) => p.body?.call_id === "admin-3" && p.body.action === "terminate"));
+  assert.equal((await (await admin("/calls/admin-3")).json()).endReason, "admin");
+
+  assert.equal((await admin("/calls/admin-3/terminate", { method: "POST" })).status, 404);
+});
+
+test("history filters and pages the stored calls", async () => {
+  for (const [callId, from] of [
+    ["admin-4", "15550100041"],
+    ["admin-5", "15550100041"],
+    ["admin-6", "15550100042"],
+  ]) {
+    await inboundCall(callId, from);
+    await endCall(callId);
+    await h.sleep(2); // distinct start times
+  }
+
+  const first = await (await admin("/calls?wa_id=%2B1%20555%20010%200041&limit=1")).json();
+  assert.equal(first.total, 2);
+  assert.deepEqual(first.calls.map((c) => c.callId), ["admin-5"]);
+  assert.equal(first.nextOffset, 1);
+
+  const second = await (await admin("/calls?wa_id=15550100041&limit=1&offset=1")).json();
+  assert.deepEqual(second.calls.map((c) => c.callId), ["admin-4"]);
+  assert.equal(second.nextOffset, null);
+
+  const later = await (await admin(`/calls?from=${Date.now() + 60000}`)).json();
+  assert.equal(later.total, 0);
+
+  const bad = await admin("/calls?from=yesterday-ish");
+  assert.equal(bad.status, 400);
+  assert.equal((await bad.json()).error, "bad_request");
+});
@@ -0,0 +1,303 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { server } = require("./helpers");
+
+const RATE = 48000;
+const FRAME = 480; // 10 ms
+
+function tone(freqs, ms, amp = 4000, rate = RATE) {
+  const out = new Int16Array((rate * ms) / 1000);
+  for (let i = 0; i < out.length; i++) {
+    out[i] = freqs.reduce((sum, f) => sum + amp * Math.sin((2 * Math.PI * f * i) / rate), 0);
+  }
+  return out;
+}
+
+function* frames(samples) {
+  for (let i = 0; i < samples.length; i += FRAME) yield samples.subarray(i, i + FRAME);
+}
+
+// ---------------- VAD ----------------
+
+function runVad(segments) {
+  const utterances = [];
+  let starts = 0;
+  const vad = server.helpers.createVad({ onUtterance: (f, ms) => utterances.push(ms), onSpeechStart: () => starts++ });
+  for (const [amp, ms] of segments) {
+    const samples = amp ? tone([300], ms, amp) : new Int16Array((RATE * ms) / 1000);
+    for (const f of frames(samples)) vad.push(f, RATE);
+  }
+  return { utterances, starts, vad };
+}
+
+test("VAD emits one utterance for speech followed by silence", () => {
+  const { utterances, starts, vad } = runVad([
+    [0, 300],
+    [5000, 600],
+    [0, 800],
+  ]);
+  assert.equal(starts, 1);
+  assert.equal(utterances.length, 1);
+  assert.ok(utterances[0] >= 600, `utterance of ${utterances[0]} ms`);
+  assert.equal(vad.isSpeaking(), false);
+});
+
+test("VAD drops blips shorter than the minimum utterance", () => {
+  const { utterances, starts } = runVad([
+    [0, 300],
+    [5000, 100],
+    [0, 800],
+  ]);
+  assert.equal(starts, 1); // still a barge-in trigger
+  assert.equal(utterances.length, 0);
+});
+
+test("VAD ignores quiet audio", () => {
+  const { utterances, starts } = runVad([[200, 1000]]);
+  assert.equal(starts, 0);
+  assert.equal(utterances.length, 0);
+});
+
+// ---------------- resampler ----------------
+
+const { createResampler, toMono } = server.helpers;
+
+test("resampler scales length by the rate ratio", () => {
+  const up = createResampler(24000, RATE)(new Int16Array(2400));
+  assert.ok(Math.abs(up.length - 4800) <= 2, `got ${up.length}`);
+  const down = createResampler(RATE, 16000)(new Int16Array(4800));
+  assert.ok(Math.abs(down.length - 1600) <= 2, `got ${down.length}`);
+});
+
+test("resampler is a no-op at equal rates", () => {
+  const input = Int16Array.from([1, 2, 3]);
+  assert.equal(createResampler(RATE, RATE)(input), input);
+});
+
+test("resampler keeps a DC level", () => {
+  const out = createResampler(RATE, 16000)(new Int16Array(4800).fill(1000));
+  for (const v of out.subarray(100)) assert.ok(Math.abs(v - 1000) <= 1, `got ${v}`);
+});
+
+test("resampling in chunks matches resampling in one go", () => {
+  const input = tone([440], 100, 8000, 24000);
+  const whole = createResampler(24000, RATE)(input);
+
+  const resampler = createResampler(24000, RATE);
+  const parts = [resampler(input.subarray(0, 777)), resampler(input.subarray(777, 1500)), resampler(input.subarray(1500))];
+  const joined = Int16Array.from(parts.flatMap((p) => [...p]));
+
+  assert.ok(Math.abs(joined.length - whole.length) <= 1);
+  const n = Math.min(joined.length, whole.length);
+  for (let i = 0; i < n; i++) assert.ok(Math.abs(joined[i] - whole[i]) <= 1, `sample ${i}: ${joined[i]} vs ${whole[i]}`);
+});
+
+test("toMono averages interleaved channels", () => {
+  assert.deepEqual([...toMono(Int16Array.from([100, 300, -100, -300]), 2)], [200, -200]);
+  const mono = Int16Array.from([5, 6]);
+  assert.equal(toMono(mono, 1), mono);
+});
+
+// ---------------- playout scheduler ----------------
+
+const { createPlayout, encodeWav, decodeWav } = server.helpers;
+
+// Collects what the scheduler sends, in place of an RTCAudioSource
+function fakeSource() {
+  const sent = [];
+  return { sent, onData: (frame) => sent.push(frame.samples) };
+}
+
+const isSilent = (frame) => frame.every((v) => v === 0); // COMFORT_NOISE_LEVEL is 0 in tests
+
+test("playout sends one 10 ms frame per tick, silence when idle", async () => {
+  const src = fakeSource();
+  const playout = createPlayout(src);
+  await new Promise((resolve) => setTimeout(resolve, 200));
+  playout.stop();
+
+  assert.ok(src.sent.length >= 12 && src.sent.length <= 25, `${src.sent.length} frames in 200 ms`);
+  assert.ok(src.sent.every((f) => f.length === FRAME && isSilent(f)));
+  const count = src.sent.length;
+  await new Promise((resolve) => setTimeout(resolve, 30));
+  assert.equal(src.sent.length, count, "no frames after stop()");
+});
+
+test("playout plays queued speech in order and reports progress", async () => {
+  const src = fakeSource();
+  const playout = createPlayout(src);
+  const events = [];
+  let played = 0;
+  playout.enqueue("speech", new Int16Array(FRAME * 2).fill(100), () => events.push("first"), (n) => (played += n));
+  playout.enqueue("speech", new Int16Array(FRAME).fill(200), () => events.push("second"), (n) => (played += n));
+  await playout.drain("speech");
+  playout.stop();
+
+  const voiced = src.sent.filter((f) => !isSilent(f));
+  assert.deepEqual(voiced.map((f) => f[0]), [100, 100, 200]);
+  assert.deepEqual(events, ["first", "second"]);
+  assert.equal(played, FRAME * 3);
+});
+
+test("playout puts speech ahead of prompts", async () => {
+  const src = fakeSource();
+  const playout = createPlayout(src);
+  playout.enqueue("prompt", new Int16Array(FRAME).fill(1));
+  playout.enqueue("speech", new Int16Array(FRAME).fill(2));
+  await Promise.all([playout.drain("speech"), playout.drain("prompt")]);
+  playout.stop();
+
+  // The prompt may already have started before speech was queued (same tick)
+  const voiced = src.sent.filter((f) => !isSilent(f)).map((f) => f[0]);
+  assert.deepEqual(voiced, voiced[0] === 1 ? [1, 2] : [2, 1]);
+});
+
+test("cancel fades a source out and refuses more audio until it is done", async () => {
+  const src = fakeSource();
+  const playout = createPlayout(src);
+  playout.enqueue("speech", new Int16Array(FRAME * 100).fill(1000));
+  await new Promise((resolve) => setTimeout(resolve, 30));
+  playout.cancel("speech", 30);
+  assert.equal(playout.enqueue("speech", new Int16Array(FRAME)), false);
+  await playout.drain("speech");
+  playout.stop();
+
+  const voiced = src.sent.filter((f) => !isSilent(f));
+  assert.ok(voiced.length < 20, `${voiced.length} frames played after a cancel at ~30 ms`);
+  const last = voiced.at(-1);
+  assert.ok(Math.abs(last[last.length - 1]) < 400, "faded out, not cut off");
+});
+
+test("hold music loops under silence and stops on loop(null)", async () => {
+  const src = fakeSource();
+  const playout = createPlayout(src);
+  playout.loop(new Int16Array(FRAME / 2).fill(500));
+  await new Promise((resolve) => setTimeout(resolve, 50));
+  playout.loop(null);
+  const looped = src.sent.length;
+  await new Promise((resolve) => setTimeout(resolve, 30));
+  playout.stop();
+
+  assert.ok(src.sent.slice(1, looped).every((f) => f.every((v) => v === 500)));
+  assert.ok(src.sent.slice(looped).every(isSilent));
+});
+
+// ---------------- WAV ----------------
+
+test("decodeWav reads back what encodeWav wrote", () => {
+  const samples = Int16Array.from([0, 1, -1, 32767, -32768]);
+  const decoded = decodeWav(encodeWav(samples, 16000, 1));
+  assert.equal(decoded.sampleRate, 16000);
+  assert.equal(decoded.channels, 1);
+  assert.deepEqual([...decoded.samples], [...samples]);
+});
+
+test("decodeWav skips chunks before data", () => {
+  const plain = encodeWav(Int16Array.from([7, 8, 9]), 8000, 1);
+  const list = Buffer.alloc(8 + 5 + 1); // odd-sized chunk plus its pad byte
+  list.write("LIST", 0);
+  list.writeUInt32LE(5, 4);
+  const wav = Buffer.concat([plain.subarray(0, 36), list, plain.subarray(36)]);
+
+  assert.deepEqual([...decodeWav(wav).samples], [7, 8, 9]);
+});
+
+test("decodeWav rejects what it can't play", () => {
+  assert.throws(() => decodeWav(Buffer.from("not a wav file at all, really")), /not a WAV/);
+  const eightBit = encodeWav(Int16Array.from([1, 2]), 8000);
+  eightBit.writeUInt16LE(8, 34);
+  assert.throws(() => decodeWav(eightBit), /16-bit/);
+});
+
+test("encodeWav writes a 16-bit PCM header in front of the samples", () => {
+  const samples = Int16Array.from([0, 1, -1, 32767, -32768]);
+  const wav = encodeWav(samples, 16000);
+
+  assert.equal(wav.toString("ascii", 0, 4), "RIFF");
+  assert.equal(wav.toString("ascii", 8, 12), "WAVE");
+  assert.equal(wav.readUInt32LE(4), wav.length - 8);
+  assert.equal(wav.readUInt16LE(20), 1); // PCM
+  assert.equal(wav.readUInt32LE(24), 16000);
+  assert.equal(wav.readUInt16LE(34), 16);
+  assert.equal(wav.readUInt32LE(40), samples.length * 2);
+  assert.equal(wav.readInt16LE(44 + 3 * 2), 32767);
+});
+
+test("encodeWav handles subarrays and interleaved stereo", () => {
+  const backing = Int16Array.from([9, 9, 1, 2, 3, 4]);
+  const wav = encodeWav(backing.subarray(2), 8000, 2);
+  assert.equal(wav.readUInt16LE(22), 2);
+  assert.equal(wav.readUInt32LE(28), 8000 * 2 * 2); // byte rate
+  assert.deepEqual([...new Int16Array(wav.buffer.slice(wav.byteOffset + 44, wav.byteOffset + wav.length))], [1, 2, 3, 4]);
+});
+
+// ---------------- call quality ----------------
+
+const { estimateMos, summarizeQuality } = server.helpers;
+
+test("estimateMos stays within 1..4.5 and falls with loss and delay", () => {
+  const perfect = estimateMos(0, 0, 0);
+  assert.ok(perfect > 4.3 && perfect <= 4.5, `perfect MOS ${perfect}`);
+  assert.ok(estimateMos(0, 0, 5) < perfect);
+  assert.ok(estimateMos(400, 0, 0) < estimateMos(100, 0, 0));
+  assert.ok(estimateMos(100, 30, 0) < estimateMos(100, 0, 0));
+  assert.equal(estimateMos(0, 0, 100), 1);
+});
+
+test("summarizeQuality reports loss, MOS and band", () => {
+  assert.equal(summarizeQuality(null), null);
+  assert.equal(summarizeQuality({ mos: [] }), null);
+
+  const s = summarizeQuality({
+    mos: [4.2, 4.0],
+    codec: "audio/opus",
+    packetsReceived: 990,
+    packetsLost: 10,
+    jitterMs: [2, 4, 6],
+    rttMs: [80, 120],
+  });
+  assert.equal(s.lossPct, 1);
+  assert.equal(s.mos.avg, 4.1);
+  assert.equal(s.mos.min, 4);
+  assert.equal(s.band, "good");
+  assert.equal(s.rttMs.avg, 100);
+  assert.equal(s.jitterMs.p50, 4);
+});
+
+// ---------------- DTMF ----------------
+
+function detectDigits(segments) {
+  const digits = [];
+  const dtmf = server.helpers.createDtmfDetector((d) => digits.push(d));
+  for (const [freqs, ms] of segments) {
+    const samples = freqs.length ? tone(freqs, ms) : new Int16Array((RATE * ms) / 1000);
+    for (const f of frames(samples)) dtmf.push(f);
+  }
+  return digits;
+}
+
+test("DTMF detects key presses once each", () => {
+  const five = [770, 1336];
+  const hash = [941, 1477];
+  assert.deepEqual(
+    detectDigits([
+      [five, 120],
+      [[], 80],
+      [five, 120],
+      [[], 80],
+      [hash, 120],
+    ]),
+    ["5", "5", "#"]
+  );
+});
+
+test("DTMF ignores single tones and silence", () => {
+  assert.deepEqual(
+    detectDigits([
+      [[770], 200],
+      [[], 200],
+      [[1000], 200],
+    ]),
+    []
+  );
+});
@@ -0,0 +1,310 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+process.env.RECONNECT_GRACE_MS = "100";
+const h = require("./helpers");
+
+const { calls } = h.server;
+
+test.before(h.listen);
+test.after(h.close);
+test.afterEach(() => h.onPost(null));
+
+let clock = 0;
+const ts = () => String(++clock); // distinct timestamps, so events never count as redeliveries
+
+const connect = (id, sdp = "v=0 caller-offer") =>
+  h.callEvent({ id, event: "connect", timestamp: ts(), from: "15550100000", session: { sdp_type: "offer", sdp } });
+const answer = (id, sdp = "v=0 callee-answer") =>
+  h.callEvent({ id, event: "connect", timestamp: ts(), session: { sdp_type: "answer", sdp } });
+const ice = (id, candidate) => h.callEvent({ id, event: "ice_candidate", timestamp: ts(), ice: { candidate, sdpMid: "0" } });
+const terminate = (id) => h.callEvent({ id, event: "terminate", timestamp: ts(), status: "COMPLETED" });
+
+const actions = (callId) => h.posts.filter((p) => p.body?.call_id === callId).map((p) => p.body.action || p.body.type);
+const peerFor = (callId) => calls.get(callId)?.pc;
+
+async function inboundCall(callId) {
+  await h.sendWebhook(connect(callId));
+  await h.waitFor(() => actions(callId).includes("accept"));
+  return peerFor(callId);
+}
+
+async function endCall(callId) {
+  await h.sendWebhook(terminate(callId));
+  await h.waitFor(() => !calls.has(callId));
+}
+
+// ---------------- inbound and remote ICE ----------------
+
+test("an inbound call is pre-accepted and accepted with our answer", async () => {
+  const pc = await inboundCall("in-1");
+
+  assert.deepEqual(pc.remoteDescription, { type: "offer", sdp: "v=0 caller-offer" });
+  assert.deepEqual(actions("in-1"), ["pre_accept", "accept"]);
+  const accept = h.posts.find((p) => p.body.call_id === "in-1" && p.body.action === "accept");
+  assert.deepEqual(accept.body.session, { sdp_type: "answer", sdp: "v=0 fake-answer" });
+
+  await endCall("in-1");
+  assert.equal(pc.closed, true);
+});
+
+test("ICE that arrives before the connect is applied once the offer is set", async () => {
+  await h.sendWebhook(ice("in-2", "candidate:early 1 udp 1 10.0.0.1 4000 typ host"));
+  await h.settle();
+  const pc = await inboundCall("in-2");
+
+  await h.sendWebhook(ice("in-2", "candidate:late 1 udp 1 10.0.0.2 4000 typ host"));
+  await h.waitFor(() => pc.addedIce.length === 2);
+  assert.deepEqual(
+    pc.addedIce.map((c) => c.candidate.split(" ")[0]),
+    ["candidate:early", "candidate:late"]
+  );
+
+  await endCall("in-2");
+});
+
+test("parseRemoteIce accepts both casings and rejects junk", () => {
+  const { parseRemoteIce } = h.server.helpers;
+  assert.deepEqual(parseRemoteIce({ candidate: "a=candidate:1 1 udp 1 1.2.3.4 5 typ host", sdp_mid: "0", sdp_m_line_index: "0" }), {
+    candidate: "candidate:1 1 udp 1 1.2.3.4 5 typ host",
+    sdpMid: "0",
+    sdpMLineIndex: 0,
+  });
+  assert.deepEqual(parseRemoteIce("candidate:2"), { candidate: "candidate:2", sdpMid: null, sdpMLineIndex: 0 });
+  assert.equal(parseRemoteIce(null), null);
+  assert.equal(parseRemoteIce({ candidate: "hello" }), null);
+  assert.equal(parseRemoteIce({ candidate: "candidate:1", sdpMLineIndex: "x" }), null);
+});
+
+// ---------------- redeliveries ----------------
+
+test("a second connect for a live call doesn't start another call", async () => {
+  await inboundCall("in-3");
+  const peerCount = h.peers.length;
+
+  await h.sendWebhook(connect("in-3"));
+  await h.settle();
+  assert.equal(h.peers.length, peerCount);
+  assert.deepEqual(actions("in-3"), ["pre_accept", "accept"]);
+
+  await endCall("in-3");
+});
+
+test("events for an ended call don't revive it", async () => {
+  await inboundCall("in-4");
+  await endCall("in-4");
+  const peerCount = h.peers.length;
+
+  await h.sendWebhook(connect("in-4"));
+  await h.sendWebhook(ice("in-4", "candidate:after 1 udp 1 10.0.0.3 4000 typ host"));
+  await h.settle();
+  assert.equal(calls.has("in-4"), false);
+  assert.equal(h.peers.length, peerCount);
+});
+
+// ---------------- outbound ----------------
+
+const placeCall = (to = "+1 (555) 010-0001") =>
+  h.request("/calls", { method: "POST", key: h.CALLS_API_KEY, body: { to, phone_number_id: "PN1" } });
+
+async function grantPermission(from = "15550100001") {
+  await h.sendWebhook(
+    h.webhook({
+      messages: [
+        {
+          id: `perm-${ts()}`,
+          from,
+          type: "interactive",
+          interactive: { type: "call_permission_reply", call_permission_reply: { response: "accept", is_permanent: true } },
+        },
+      ],
+    })
+  );
+  await h.settle();
+}
+
+function connectReturns(callId, beforeResponse) {
+  h.onPost(async (url, body) => {
+    if (body.action !== "connect") return { data: {} };
+    await beforeResponse?.();
+    return { data: { calls: [{ id: callId }] } };
+  });
+}
+
+test("an outbound call offers our SDP and runs once answered", async () => {
+  await grantPermission();
+  connectReturns("out-1");
+
+  const res = await placeCall();
+  assert.equal(res.status, 201);
+  assert.deepEqual(await res.json(), { call_id: "out-1", status: "ringing" });
+  const connectPost = h.posts.find((p) => p.body.action === "connect" && p.body.to === "+1 (555) 010-0001");
+  assert.deepEqual(connectPost.body.session, { sdp_type: "offer", sdp: "v=0 fake-offer" });
+
+  await h.sendWebhook(answer("out-1"));
+  await h.waitFor(() => calls.get("out-1")?.answered);
+  assert.deepEqual(peerFor("out-1").remoteDescription, { type: "answer", sdp: "v=0 callee-answer" });
+
+  await endCall("out-1");
+});
+
+test("an answer that beats the Graph API response is applied", async () => {
+  await grantPermission("15550100004");
+  connectReturns("out-4", async () => {
+    await h.sendWebhook(answer("out-4"));
+    await h.settle();
+  });
+
+  const res = await placeCall("15550100004");
+  assert.deepEqual(await res.json(), { call_id: "out-4", status: "answered" });
+
+  await endCall("out-4");
+});
+
+test("an answer the peer rejects ends the call", async () => {
+  await grantPermission("15550100002");
+  connectReturns("out-2");
+  assert.equal((await placeCall("15550100002")).status, 201);
+
+  const pc = peerFor("out-2");
+  pc.setRemoteDescription = async () => {
+    throw new Error("bad answer SDP");
+  };
+  await h.sendWebhook(answer("out-2", "v=0 garbage"));
+  await h.waitFor(() => !calls.has("out-2"));
+
+  assert.deepEqual(actions("out-2"), ["terminate"]);
+  assert.equal(pc.closed, true);
+});
+
+test("a failed connect request closes the peer and reports 502", async () => {
+  await grantPermission("15550100003");
+  h.onPost((url, body) => {
+    if (body.action === "connect") throw new Error("graph down");
+    return { data: {} };
+  });
+  const peerCount = h.peers.length;
+
+  const res = await placeCall("15550100003");
+  assert.equal(res.status, 502);
+  assert.equal(h.peers.length, peerCount + 1);
+  assert.equal(h.peers.at(-1).closed, true);
+});
+
+test("per-call greeting and context don't leak into the persona", async () => {
+  await grantPermission("15550100005");
+  connectReturns("out-5");
+  await h.request("/calls", {
+    method: "POST",
+    key: h.CALLS_API_KEY,
+    body: { to: "15550100005", phone_number_id: "PN1", greeting: "Hi from the test", context: "order 42" },
+  });
+  const { persona } = calls.get("out-5");
+  assert.equal(persona.greeting, "Hi from the test");
+  assert.match(persona.systemPrompt, /order 42/);
+
+  connectReturns("out-6");
+  await placeCall("15550100005");
+  assert.equal(calls.get("out-6").persona.greeting, "");
+  assert.doesNotMatch(calls.get("out-6").persona.systemPrompt, /order 42/);
+
+  await endCall("out-5");
+  await endCall("out-6");
+});
+
+// ---------------- call permissions ----------------
+
+const permissionReply = (from, response) =>
+  h.webhook({
+    messages: [
+      {
+        id: `perm-${ts()}`,
+        from,
+        type: "interactive",
+        interactive: { type: "call_permission_reply", call_permission_reply: { response } },
+      },
+    ],
+  });
+
+test("outbound calls wait for the user's permission", async () => {
+  const to = "+1 555 010 0010";
+  const denied = await placeCall(to);
+  assert.equal(denied.status, 403);
+  assert.equal((await denied.json()).error, "permission_required");
+
+  const asked = await h.request("/call-permissions", { method: "POST", key: h.CALLS_API_KEY, body: { to, phone_number_id: "PN1" } });
+  assert.equal(asked.status, 202);
+  const message = h.posts.at(-1);
+  assert.match(message.url, /\/PN1\/messages$/);
+  assert.equal(message.body.to, "15550100010");
+  assert.equal(message.body.interactive.type, "call_permission_request");
+
+  assert.equal((await (await placeCall(to)).json()).error, "permission_pending");
+  const again = await h.request("/call-permissions", { method: "POST", key: h.CALLS_API_KEY, body: { to, phone_number_id: "PN1" } });
+  assert.equal(again.status, 429);
+
+  await h.sendWebhook(permissionReply("15550100010", "reject"));
+  await h.settle();
+  assert.equal((await (await placeCall(to)).json()).error, "permission_denied");
+
+  await h.sendWebhook(permissionReply("15550100010", "accept"));
+  await h.settle();
+  const state = await h.request("/call-permissions/PN1/15550100010", { key: h.CALLS_API_KEY });
+  assert.equal((await state.json()).status, "granted");
+});
+
+test("permission state is written to the call store", async () => {
+  await grantPermission("15550100011");
+  await h.server.restoreCallPermissions(); // flushes queued writes first
+  const stored = await h.server.getCallStore().listPermissions();
+  const p = stored.find((s) => s.waId === "15550100011");
+  assert.equal(p.phoneNumberId, "PN1");
+  assert.equal(p.status, "granted");
+  assert.equal(p.permanent, true);
+});
+
+// ---------------- call control ----------------
+
+test("a call that can't be pre-accepted is rejected and torn down", async () => {
+  h.onPost((url, body) => {
+    if (body.action === "pre_accept") throw new Error("graph down");
+    return { data: {} };
+  });
+  await h.sendWebhook(connect("in-5"));
+  await h.waitFor(() => actions("in-5").includes("reject"));
+
+  assert.deepEqual(actions("in-5"), ["pre_accept", "reject"]);
+  assert.equal(calls.has("in-5"), false);
+  assert.equal(h.peers.at(-1).closed, true);
+});
+
+// ---------------- media loss ----------------
+
+test("a call whose media comes back within the grace period keeps going", async () => {
+  const pc = await inboundCall("in-6");
+  pc.setConnectionState("connected");
+  pc.setConnectionState("disconnected");
+  await h.sleep(30);
+  pc.setConnectionState("connected");
+  await h.sleep(150); // past RECONNECT_GRACE_MS
+
+  assert.equal(calls.has("in-6"), true);
+  assert.equal(calls.get("in-6").mediaLost, null);
+  assert.equal(h.peers.at(-1), pc, "the existing peer connection is kept");
+
+  await endCall("in-6");
+});
+
+test("a call whose media doesn't come back is terminated", async () => {
+  const pc = await inboundCall("in-7");
+  pc.setConnectionState("connected");
+  pc.setConnectionState("failed");
+  await h.waitFor(() => !calls.has("in-7"));
+
+  assert.deepEqual(actions("in-7"), ["pre_accept", "accept", "terminate"]);
+  assert.equal(pc.closed, true);
+
+  const metrics = await (await h.request("/metrics", { key: h.ADMIN_API_KEY })).text();
+  assert.match(metrics, /call_media_interruptions_total\{result="lost"\} 1/);
+  assert.match(metrics, /call_media_interruptions_total\{result="recovered"\} 1/);
+});
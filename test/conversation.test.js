@@ -0,0 +1,201 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+process.env.STT_CHAIN = "fake";
+process.env.LLM_CHAIN = "fake";
+process.env.TTS_CHAIN = "fake";
+process.env.HISTORY_TOKEN_BUDGET = "30";
+const h = require("./helpers");
+
+const { calls } = h.server;
+
+test.before(h.listen);
+test.after(h.close);
+
+// ---------------- fake providers ----------------
+// STT returns the scripted transcripts in order. The LLM records what it was
+// sent and replies from `replies` (a string, or a function returning an async
+// iterable of deltas). TTS turns every chunk into 50 ms of audio.
+const transcripts = [];
+const replies = [];
+const llmCalls = [];
+const ttsTexts = [];
+
+h.server.registerProvider("stt", "fake", {
+  async transcribe() {
+    return transcripts.shift() ?? "";
+  },
+});
+
+h.server.registerProvider("llm", "fake", {
+  async *stream(system, messages, opts) {
+    llmCalls.push({ system, messages: structuredClone(messages), signal: opts.signal });
+    const reply = replies.shift() ?? "Okay.";
+    if (typeof reply === "string") yield reply;
+    else yield* reply(opts);
+  },
+  async complete(system, messages) {
+    llmCalls.push({ system, messages: structuredClone(messages), complete: true });
+    return "Summary.";
+  },
+});
+
+h.server.registerProvider("tts", "fake", {
+  async synthesize(text) {
+    ttsTexts.push(text);
+    return { pcm: new Int16Array(1200).fill(1000), sampleRate: 24000 };
+  },
+});
+
+// ---------------- call helpers ----------------
+
+let clock = 0;
+const ts = () => String(++clock);
+
+async function startCall(callId) {
+  await h.sendWebhook(
+    h.callEvent({ id: callId, event: "connect", timestamp: ts(), from: "15550100000", session: { sdp_type: "offer", sdp: "v=0" } })
+  );
+  await h.waitFor(() => calls.get(callId)?.playout);
+  const state = calls.get(callId);
+  state.pc.ontrack({ track: { kind: "audio" } }); // caller audio starts flowing
+  return state;
+}
+
+async function endCall(callId) {
+  await h.sendWebhook(h.callEvent({ id: callId, event: "terminate", timestamp: ts(), status: "COMPLETED" }));
+  await h.waitFor(() => !calls.has(callId));
+}
+
+// Feeds the caller's audio for one utterance (speech, then enough silence to
+// end it) and scripts what STT hears
+function say(state, text, speechMs = 600) {
+  transcripts.push(text);
+  const frame = (amp) => ({ samples: new Int16Array(480).map((_, i) => amp * Math.sin(i / 5)), sampleRate: 48000 });
+  for (let ms = 0; ms < speechMs; ms += 10) state.sink.ondata(frame(5000));
+  for (let ms = 0; ms < 800; ms += 10) state.sink.ondata(frame(0));
+}
+
+const turnDone = (state) => !state.turnBusy && state.turnState === "listening";
+
+async function turn(state, text) {
+  const before = llmCalls.length;
+  say(state, text);
+  await h.waitFor(() => llmCalls.length > before && turnDone(state), 3000);
+}
+
+// ---------------- end-to-end turns ----------------
+
+test("each turn sends the LLM the conversation so far, then the new utterance", async () => {
+  llmCalls.length = 0;
+  ttsTexts.length = 0;
+  const state = await startCall("conv-1");
+
+  replies.push("Hi! How can I help?");
+  await turn(state, "hello there");
+  replies.push("It is noon.");
+  await turn(state, "what time is it");
+
+  assert.deepEqual(
+    llmCalls.map((c) => c.messages),
+    [
+      [{ role: "user", content: "hello there" }],
+      [
+        { role: "user", content: "hello there" },
+        { role: "assistant", content: "Hi! How can I help?" },
+        { role: "user", content: "what time is it" },
+      ],
+    ]
+  );
+  assert.match(llmCalls[0].system, /helpful voice assistant/);
+  assert.deepEqual(ttsTexts, ["Hi!", "How can I help?", "It is noon."]); // sentence by sentence
+  assert.deepEqual(
+    state.history.map((t) => [t.role, t.text]),
+    [
+      ["user", "hello there"],
+      ["assistant", "Hi! How can I help?"],
+      ["user", "what time is it"],
+      ["assistant", "It is noon."],
+    ]
+  );
+
+  await endCall("conv-1");
+});
+
+// ---------------- barge-in ----------------
+
+test("a barge-in aborts the reply, LLM included, and the caller's words are the next turn", async () => {
+  llmCalls.length = 0;
+  const state = await startCall("conv-2");
+
+  // Pauses between sentences without watching the signal, like a slow provider
+  replies.push(async function* () {
+    yield "Once upon a time. ";
+    await h.sleep(2000);
+    yield "There was a call.";
+  });
+  say(state, "tell me a story");
+  await h.waitFor(() => state.turnState === "speaking", 3000);
+
+  const bargedInAt = Date.now();
+  replies.push("Sure, go ahead.");
+  say(state, "wait, stop");
+  await h.waitFor(() => llmCalls.length === 2 && turnDone(state), 3000);
+
+  assert.ok(Date.now() - bargedInAt < 1000, `next turn took ${Date.now() - bargedInAt} ms`);
+  assert.equal(llmCalls[0].signal.aborted, true);
+  const [, interrupted] = state.history;
+  assert.equal(interrupted.interrupted, true);
+  assert.equal(interrupted.text, "Once upon a time.");
+  assert.deepEqual(llmCalls[1].messages.at(-1), { role: "user", content: "wait, stop" });
+  assert.match(llmCalls[1].messages.at(-2).content, /\[interrupted by caller\]$/);
+
+  await endCall("conv-2");
+});
+
+// ---------------- history compaction ----------------
+
+test("history past the token budget is folded into a summary the next turn sees", async () => {
+  llmCalls.length = 0;
+  const state = await startCall("conv-3");
+
+  replies.push("Booked a table for four at seven tonight, under your name.");
+  await turn(state, "Please book a table for four at seven tonight.");
+  assert.equal(state.summary, undefined); // still under budget
+  replies.push("Done, flowers ordered.");
+  await turn(state, "Also order flowers.");
+  await h.waitFor(() => state.summary === "Summary.");
+
+  const summarize = llmCalls.find((c) => c.complete);
+  assert.match(summarize.messages[0].content, /^Caller: Please book a table/);
+  assert.match(summarize.messages[0].content, /\nAssistant: Booked a table/);
+  assert.deepEqual(
+    state.history.map((t) => t.text),
+    ["Also order flowers.", "Done, flowers ordered."]
+  );
+
+  await turn(state, "Thanks.");
+  const last = llmCalls.at(-1);
+  assert.match(last.system, /Summary of the conversation so far: Summary\.$/);
+  assert.deepEqual(
+    last.messages.map((m) => m.content),
+    ["Also order flowers.", "Done, flowers ordered.", "Thanks."]
+  );
+
+  await endCall("conv-3");
+});
+
+// ---------------- bot hang-up ----------------
+
+test("a reply ending with the hang-up marker is spoken without it, then the call ends", async () => {
+  ttsTexts.length = 0;
+  const state = await startCall("conv-4");
+
+  replies.push("Goodbye, have a nice day! [END_CALL]");
+  say(state, "that's all, thanks");
+  await h.waitFor(() => !calls.has("conv-4"), 3000);
+
+  assert.deepEqual(ttsTexts, ["Goodbye, have a nice day!"]);
+  assert.equal(state.endReason, "bot_hangup");
+  assert.ok(h.posts.some((p) => p.body?.call_id === "conv-4" && p.body.action === "terminate"));
+});
@@ -0,0 +1,206 @@
+// Shared test setup: env defaults, a fake wrtc (no native module, no media)
+// and axios.post swapped for a recorder, then server.js is required. Each test
+// file runs in its own process, so every file gets a fresh server.
+const Module = require("module");
+const crypto = require("crypto");
+
+const APP_SECRET = "test-app-secret";
+const CALLS_API_KEY = "test-calls-key";
+const ADMIN_API_KEY = "test-admin-key";
+
+// Test files can set other variables (or override the defaults) in
+// process.env before requiring this file; credentials are always the fakes.
+process.env = {
+  CALL_STORE: "memory",
+  PERSONAS_FILE: `${__dirname}/no-personas.json`, // missing on purpose: default persona everywhere
+  COMFORT_NOISE_LEVEL: "0",
+  ...process.env,
+  META_ACCESS_TOKEN: "test-token",
+  OPENAI_API_KEY: "test-openai",
+  GOOGLE_API_KEY: "test-google",
+  META_APP_SECRET: APP_SECRET,
+  CALLS_API_KEY,
+  ADMIN_API_KEY,
+};
+
+// The server logs every step; TEST_VERBOSE=1 shows it
+if (!process.env.TEST_VERBOSE) {
+  for (const level of ["log", "warn", "error"]) console[level] = () => {};
+}
+
+// ---------------- fake wrtc ----------------
+const peers = [];
+
+class FakePeerConnection {
+  constructor(config) {
+    this.config = config;
+    this.connectionState = "new";
+    this.iceGatheringState = "complete";
+    this.addedIce = [];
+    this.remoteDescription = null;
+    this.localDescription = null;
+    this.closed = false;
+    peers.push(this);
+  }
+  addTrack() {}
+  async createOffer() {
+    return { type: "offer", sdp: "v=0 fake-offer" };
+  }
+  async createAnswer() {
+    return { type: "answer", sdp: "v=0 fake-answer" };
+  }
+  async setLocalDescription(d) {
+    this.localDescription = d;
+  }
+  async setRemoteDescription(d) {
+    this.remoteDescription = d;
+  }
+  async addIceCandidate(c) {
+    if (!this.remoteDescription) throw new Error("addIceCandidate before setRemoteDescription");
+    this.addedIce.push(c);
+  }
+  async getStats() {
+    return new Map();
+  }
+  close() {
+    this.closed = true;
+  }
+  // Test hook: move to a connection state and notify the server
+  setConnectionState(state) {
+    this.connectionState = state;
+    this.onconnectionstatechange?.();
+  }
+}
+
+class FakeAudioSource {
+  constructor() {
+    this.frames = [];
+  }
+  createTrack() {
+    return { kind: "audio" };
+  }
+  onData(frame) {
+    this.frames.push(frame);
+  }
+}
+
+class FakeAudioSink {
+  stop() {
+    this.stopped = true;
+  }
+}
+
+const fakeWrtc = {
+  RTCPeerConnection: FakePeerConnection,
+  nonstandard: { RTCAudioSource: FakeAudioSource, RTCAudioSink: FakeAudioSink },
+};
+
+const load = Module._load;
+Module._load = function (request, ...rest) {
+  if (request === "wrtc") return fakeWrtc;
+  return load.call(this, request, ...rest);
+};
+
+// ---------------- recorded POSTs ----------------
+// Every axios.post is recorded; respond(url, body, config) decides the
+// response (default { data: {} }) and may throw to simulate a failure.
+const axios = require("axios");
+const posts = [];
+let respond = () => ({ data: {} });
+
+axios.post = async (url, body, config) => {
+  posts.push({ url, body, config });
+  return respond(url, body, config);
+};
+
+function onPost(fn) {
+  respond = fn || (() => ({ data: {} }));
+}
+
+const server = require("../server");
+
+// ---------------- HTTP ----------------
+let baseUrl = null;
+let httpServer = null;
+
+function listen() {
+  return new Promise((resolve) => {
+    httpServer = server.app.listen(0, () => {
+      baseUrl = `http://127.0.0.1:${httpServer.address().port}`;
+      resolve(baseUrl);
+    });
+  });
+}
+
+// Ends calls a failed test left behind (their timers would keep the process
+// alive), then stops the server
+async function close() {
+  for (const callId of [...server.calls.keys()]) {
+    await sendWebhook(callEvent({ id: callId, event: "terminate", timestamp: "test-teardown" }));
+  }
+  await waitFor(() => server.calls.size === 0).catch(() => {});
+  await new Promise((resolve) => (httpServer ? httpServer.close(resolve) : resolve()));
+}
+
+function sign(raw, secret = APP_SECRET) {
+  return "sha256=" + crypto.createHmac("sha256", secret).update(raw).digest("hex");
+}
+
+// Signed webhook delivery; a string body is sent as is. The handler answers
+// before it processes events, so waitFor() their effects.
+async function sendWebhook(body, { secret = APP_SECRET, signature } = {}) {
+  const raw = typeof body === "string" ? body : JSON.stringify(body);
+  return fetch(`${baseUrl}/webhook`, {
+    method: "POST",
+    headers: { "content-type": "application/json", "x-hub-signature-256": signature ?? sign(raw, secret) },
+    body: raw,
+  });
+}
+
+function request(path, { method = "GET", body, key } = {}) {
+  return fetch(baseUrl + path, {
+    method,
+    headers: { "content-type": "application/json", ...(key && { authorization: `Bearer ${key}` }) },
+    body: body && JSON.stringify(body),
+  });
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// For asserting that something did NOT happen after a delivery
+const settle = () => sleep(30);
+
+async function waitFor(check, timeoutMs = 1000) {
+  const until = Date.now() + timeoutMs;
+  while (!check()) {
+    if (Date.now() > until) throw new Error("timed out waiting for condition");
+    await sleep(5);
+  }
+}
+
+// Webhook body with one change for phone number "PN1"
+function webhook(value, field = "calls", phoneNumberId = "PN1") {
+  return { entry: [{ changes: [{ field, value: { metadata: { phone_number_id: phoneNumberId }, ...value } }] }] };
+}
+
+const callEvent = (call) => webhook({ calls: [call] });
+
+module.exports = {
+  server,
+  peers,
+  posts,
+  onPost,
+  listen,
+  close,
+  sign,
+  sendWebhook,
+  request,
+  sleep,
+  settle,
+  waitFor,
+  webhook,
+  callEvent,
+  APP_SECRET,
+  CALLS_API_KEY,
+  ADMIN_API_KEY,
+};
@@ -0,0 +1,175 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+process.env.BREAKER_MIN_CALLS = "2";
+process.env.BREAKER_COOLDOWN_MS = "50";
+process.env.LLM_TIMEOUT_MS = "100";
+const h = require("./helpers");
+
+const { runChain, streamChain } = h.server.helpers;
+
+test.before(h.listen);
+test.after(h.close);
+
+let nextName = 0;
+
+// Registers an LLM adapter under a fresh name (so each test gets its own
+// breaker) whose stream() or complete() runs `impl`
+function fakeLlm(impl, method = "stream") {
+  const name = `fake-${++nextName}`;
+  h.server.registerProvider("llm", name, { [method]: impl });
+  return name;
+}
+
+// Never settles on its own; rejects once signal aborts
+const untilAborted = (signal) =>
+  new Promise((resolve, reject) => signal.addEventListener("abort", () => reject(new Error("aborted"))));
+
+async function breaker(name) {
+  const res = await h.request("/debug/providers", { key: h.ADMIN_API_KEY });
+  return (await res.json()).find((b) => b.provider === `llm:${name}`);
+}
+
+async function drain(iterable) {
+  const out = [];
+  for await (const item of iterable) out.push(item);
+  return out;
+}
+
+// Opens the breaker of `name` and waits until it lets a trial through
+async function tripBreaker(name, fail) {
+  for (let i = 0; i < 2; i++) {
+    fail.now = true;
+    await assert.rejects(drain(streamChain("llm", [name], (p) => p.stream())));
+  }
+  assert.equal((await breaker(name)).state, "open");
+  await h.sleep(60);
+}
+
+// ---------------- breakers ----------------
+
+test("a half-open trial abandoned by an abort is given back", async () => {
+  const fail = { now: false };
+  const attempts = [];
+  const name = fakeLlm(async function* ({ signal } = {}) {
+    attempts.push(signal);
+    if (fail.now) throw new Error("provider down");
+    if (signal) await untilAborted(signal);
+    yield "recovered";
+  });
+  await tripBreaker(name, fail);
+  fail.now = false;
+
+  // The trial request is cut short by a barge-in
+  const ac = new AbortController();
+  const trial = drain(streamChain("llm", [name], (p) => p.stream({ signal: ac.signal }), undefined, ac.signal));
+  await h.sleep(10);
+  ac.abort();
+  assert.deepEqual(await trial, []);
+  assert.equal((await breaker(name)).state, "half_open");
+
+  // The next request gets to be the trial and closes the breaker
+  assert.deepEqual(await drain(streamChain("llm", [name], (p) => p.stream())), ["recovered"]);
+  assert.equal((await breaker(name)).state, "closed");
+  assert.equal(attempts.length, 4);
+});
+
+// ---------------- failover and timeouts ----------------
+
+test("runChain fails over and records usage per attempt", async () => {
+  const broken = fakeLlm(async () => {
+    throw new Error("500");
+  }, "complete");
+  const working = fakeLlm(async () => "fine", "complete");
+  const usage = [];
+
+  const result = await runChain("llm", [broken, working], (p) => p.complete(), (u) => usage.push(u));
+  assert.equal(result, "fine");
+  assert.deepEqual(
+    usage.map((u) => [u.provider, u.ok]),
+    [
+      [broken, false],
+      [working, true],
+    ]
+  );
+  await assert.rejects(runChain("llm", [broken], (p) => p.complete()), /All llm providers failed/);
+});
+
+test("an open breaker is skipped until its cooldown ends", async () => {
+  let calls = 0;
+  const flaky = fakeLlm(async () => {
+    calls++;
+    throw new Error("500");
+  }, "complete");
+  const backup = fakeLlm(async () => "backup", "complete");
+  const ask = () => runChain("llm", [flaky, backup], (p) => p.complete());
+
+  await ask();
+  await ask();
+  assert.equal((await breaker(flaky)).state, "open");
+  await ask();
+  assert.equal(calls, 2, "skipped while open");
+
+  await h.sleep(60);
+  assert.equal(await ask(), "backup");
+  assert.equal(calls, 3, "one trial after the cooldown");
+  assert.equal((await breaker(flaky)).state, "open");
+});
+
+test("a timed-out attempt is aborted before the chain moves on", async () => {
+  let slowSignal;
+  const slow = fakeLlm(async (signal) => {
+    slowSignal = signal;
+    return untilAborted(signal);
+  }, "complete");
+  const fast = fakeLlm(async () => "fast", "complete");
+
+  const result = await runChain("llm", [slow, fast], (p, name, signal) => p.complete(signal));
+  assert.equal(result, "fast");
+  assert.equal(slowSignal.aborted, true);
+});
+
+test("a stream that times out before its first item is aborted and failed over", async () => {
+  let slowSignal;
+  const slow = fakeLlm(async function* (signal) {
+    slowSignal = signal;
+    await untilAborted(signal);
+  });
+  const fast = fakeLlm(async function* () {
+    yield "fast";
+  });
+
+  assert.deepEqual(await drain(streamChain("llm", [slow, fast], (p, name, signal) => p.stream(signal))), ["fast"]);
+  assert.equal(slowSignal.aborted, true);
+});
+
+test("a stream that stalls midway is aborted and ends without failover", async () => {
+  let stalledSignal;
+  const stalls = fakeLlm(async function* (signal) {
+    stalledSignal = signal;
+    yield "first";
+    await untilAborted(signal);
+  });
+  const never = fakeLlm(async function* () {
+    yield "never";
+  });
+
+  assert.deepEqual(await drain(streamChain("llm", [stalls, never], (p, name, signal) => p.stream(signal))), ["first"]);
+  assert.equal(stalledSignal.aborted, true);
+});
+
+test("aborting the caller's signal aborts the attempt", async () => {
+  let attemptSignal;
+  const name = fakeLlm(async function* (signal) {
+    attemptSignal = signal;
+    await untilAborted(signal);
+  });
+  const ac = new AbortController();
+  const stream = drain(streamChain("llm", [name], (p, n, signal) => p.stream(signal), undefined, ac.signal));
+  await h.sleep(10);
+  ac.abort();
+
+  assert.deepEqual(await stream, []);
+  assert.equal(attemptSignal.aborted, true);
+  assert.equal((await breaker(name)).failures, 0);
+});
@@ -0,0 +1,173 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+
+process.env.STT_CHAIN = "fake";
+process.env.LLM_CHAIN = "fake";
+process.env.TTS_CHAIN = "fake";
+process.env.RECORD_CALLS = "true";
+process.env.RECORDING_STORE = "test";
+process.env.CALL_STORE_FLUSH_MS = "10";
+process.env.CONSENT_ANNOUNCEMENT = "This call is recorded. Say no to opt out.";
+const h = require("./helpers");
+
+const { calls } = h.server;
+const { decodeWav } = h.server.helpers;
+
+test.before(h.listen);
+test.after(h.close);
+
+// ---------------- fakes ----------------
+// STT returns the scripted transcripts, the LLM always says "Okay." and TTS
+// turns every chunk into 50 ms of audio. Saved recordings are kept in memory.
+const transcripts = [];
+const ttsTexts = [];
+const saved = [];
+
+h.server.registerProvider("stt", "fake", {
+  async transcribe() {
+    return transcripts.shift() ?? "";
+  },
+});
+h.server.registerProvider("llm", "fake", {
+  async *stream() {
+    yield "Okay.";
+  },
+});
+h.server.registerProvider("tts", "fake", {
+  async synthesize(text) {
+    ttsTexts.push(text);
+    return { pcm: new Int16Array(1200).fill(1000), sampleRate: 24000 };
+  },
+});
+
+h.server.registerRecordingStore("test", {
+  async save(tmpFile, meta) {
+    const wav = decodeWav(await fs.promises.readFile(tmpFile));
+    await fs.promises.unlink(tmpFile);
+    saved.push({ meta, wav });
+    return `test://${meta.callId}`;
+  },
+});
+
+// ---------------- call helpers ----------------
+
+let clock = 0;
+const ts = () => String(++clock);
+
+async function startCall(callId) {
+  await h.sendWebhook(
+    h.callEvent({ id: callId, event: "connect", timestamp: ts(), from: "15550100000", session: { sdp_type: "offer", sdp: "v=0" } })
+  );
+  await h.waitFor(() => calls.get(callId)?.playout);
+  const state = calls.get(callId);
+  state.pc.ontrack({ track: { kind: "audio" } });
+  return state;
+}
+
+async function endCall(callId) {
+  const state = calls.get(callId);
+  await h.sendWebhook(h.callEvent({ id: callId, event: "terminate", timestamp: ts(), status: "COMPLETED" }));
+  await h.waitFor(() => !calls.has(callId));
+  await state.recordingDone;
+}
+
+// 10 ms caller frames at 48 kHz
+const frame = (amp) => ({ samples: new Int16Array(480).map((_, i) => amp * Math.sin(i / 5)), sampleRate: 48000 });
+
+function say(state, text) {
+  transcripts.push(text);
+  for (let ms = 0; ms < 600; ms += 10) state.sink.ondata(frame(5000));
+  for (let ms = 0; ms < 800; ms += 10) state.sink.ondata(frame(0));
+}
+
+// A key press as the dial pad sends it: 120 ms of tone, then a pause
+function press(state, [low, high]) {
+  const tone = (t) => Math.round(4000 * (Math.sin(2 * Math.PI * low * t) + Math.sin(2 * Math.PI * high * t)));
+  for (let n = 0; n < 12; n++) {
+    state.sink.ondata({ samples: new Int16Array(480).map((_, i) => tone((n * 480 + i) / 48000)), sampleRate: 48000 });
+  }
+  for (let n = 0; n < 10; n++) state.sink.ondata(frame(0));
+}
+
+const peak = (samples) => samples.reduce((m, s) => Math.max(m, Math.abs(s)), 0);
+
+// ---------------- recording ----------------
+
+const announced = (state) => h.waitFor(() => state.consent?.announcedAt);
+
+test("a recorded call is saved as a stereo WAV, caller left and bot right", async () => {
+  const state = await startCall("rec-1");
+  await announced(state);
+  say(state, "hello");
+  await h.waitFor(() => state.history.length === 2 && !state.turnBusy, 3000);
+  await h.sleep(100); // let the reply play out
+  await endCall("rec-1");
+
+  const { meta, wav } = saved.find((s) => s.meta.callId === "rec-1");
+  assert.equal(meta.phoneNumberId, "PN1");
+  assert.equal(wav.channels, 2);
+  assert.equal(wav.sampleRate, 16000);
+  assert.equal(meta.durationMs, Math.round((wav.samples.length / 2 / 16000) * 1000));
+
+  const left = wav.samples.filter((_, i) => i % 2 === 0);
+  const right = wav.samples.filter((_, i) => i % 2 === 1);
+  assert.ok(peak(left) > 3000, "caller speech on the left");
+  assert.ok(peak(right) > 500, "bot reply on the right");
+
+  const store = h.server.getCallStore();
+  await h.waitFor(() => store.getCall("rec-1")?.endedAt);
+  assert.equal(store.getCall("rec-1").recordingUri, "test://rec-1");
+});
+
+// ---------------- consent ----------------
+
+test("the consent announcement plays when the call comes up and consent starts pending", async () => {
+  ttsTexts.length = 0;
+  const state = await startCall("consent-1");
+  await announced(state);
+  assert.deepEqual(ttsTexts, ["This call is recorded. Say no to opt out."]);
+  assert.equal(state.consent.status, "pending");
+  await endCall("consent-1");
+});
+
+test("saying an opt-out phrase stops the recording and redacts the transcript", async () => {
+  const state = await startCall("consent-2");
+  await announced(state);
+
+  say(state, "No, Tuesday."); // a bare "no" opts out, an answer starting with one doesn't
+  await h.waitFor(() => state.history.length === 2 && !state.turnBusy, 3000);
+  assert.equal(state.consent.status, "pending");
+
+  ttsTexts.length = 0;
+  say(state, "Please don't record this.");
+  await h.waitFor(() => state.consent.status === "opted_out");
+  await h.waitFor(() => ttsTexts.includes("Okay, this call will not be recorded."));
+  assert.equal(state.consent.via, "speech");
+  assert.equal(state.recorder, null);
+  assert.equal(state.history.length, 2, "the opt-out isn't a conversation turn");
+  await endCall("consent-2");
+
+  assert.equal(saved.find((s) => s.meta.callId === "consent-2"), undefined);
+  const store = h.server.getCallStore();
+  await h.waitFor(() => store.getCall("consent-2")?.endedAt);
+  const record = store.getCall("consent-2");
+  assert.equal(record.consent.status, "opted_out");
+  assert.equal(record.recordingUri, null);
+  assert.ok(record.turns.length > 0);
+  assert.deepEqual(
+    record.turns.map((t) => t.text),
+    record.turns.map(() => null)
+  );
+});
+
+test("pressing the opt-out digit opts out", async () => {
+  const state = await startCall("consent-3");
+  await announced(state);
+
+  press(state, [852, 1477]); // 9
+  await h.waitFor(() => state.consent.status === "opted_out");
+  assert.equal(state.consent.via, "dtmf");
+  await endCall("consent-3");
+  assert.equal(saved.find((s) => s.meta.callId === "consent-3"), undefined);
+});
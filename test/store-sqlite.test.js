@@ -0,0 +1,23 @@
+// The call store tests again, against the SQLite backend in a temp file
+const test = require("node:test");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+let sqlite = true;
+try {
+  require.resolve("better-sqlite3");
+} catch (_) {
+  sqlite = false;
+}
+
+if (sqlite) {
+  process.env.CALL_STORE = "sqlite";
+  process.env.CALL_STORE_PATH = path.join(os.tmpdir(), `calls-test-${process.pid}.db`);
+  require("./store.test");
+  test.after(() => {
+    for (const suffix of ["", "-wal", "-shm"]) fs.rmSync(process.env.CALL_STORE_PATH + suffix, { force: true });
+  });
+} else {
+  test("SQLite call store", { skip: "better-sqlite3 is not installed" }, () => {});
+}
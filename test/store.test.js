@@ -0,0 +1,120 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+// Runs against CALL_STORE (memory unless the requiring file picked another)
+process.env.CALL_STORE_FLUSH_MS = "100";
+const h = require("./helpers");
+
+test.before(h.listen);
+test.after(h.close);
+
+const store = () => h.server.getCallStore();
+
+// ---------------- store backend ----------------
+
+const call = (callId, fields) => ({
+  callId,
+  phoneNumberId: "PN1",
+  waId: "15550100000",
+  direction: "inbound",
+  persona: "default",
+  startedAt: 1000,
+  ...fields,
+});
+
+const ended = {
+  answeredAt: 1100,
+  endedAt: 9100,
+  durationMs: 8000,
+  endReason: "caller_hangup",
+  recordingUri: "file:///recordings/store-1.wav",
+  consent: { status: "accepted", at: 1500, via: "no_objection" },
+  quality: { mos: { avg: 4.2, min: 3.9 }, band: "good" },
+};
+
+const turn = (role, text, at) => ({
+  role,
+  text,
+  at,
+  sttMs: role === "user" ? 300 : null,
+  ttfaMs: role === "assistant" ? 700 : null,
+  durationMs: role === "assistant" ? 2000 : null,
+  interrupted: false,
+  spokenRatio: role === "assistant" ? 1 : null,
+});
+
+test("a call record round-trips with its turns and provider usage", async () => {
+  const turns = [turn("user", "hello", 2000), turn("assistant", "Hi!", 2400)];
+  const usage = { kind: "llm", provider: "chatgpt", ok: true, latencyMs: 450, at: 2100 };
+
+  await store().startCall(call("store-1"));
+  for (const t of turns) await store().addTurn("store-1", t);
+  await store().addProviderUsage("store-1", usage);
+  await store().endCall("store-1", ended);
+
+  assert.deepEqual(await store().getCall("store-1"), { ...call("store-1"), ...ended, turns, providerUsage: [usage] });
+  assert.equal(await store().getCall("store-missing"), null);
+});
+
+test("redactTranscript keeps the turns but drops their text", async () => {
+  await store().startCall(call("store-2"));
+  await store().addTurn("store-2", turn("user", "my card number is 1234", 2000));
+  await store().redactTranscript("store-2");
+
+  const { turns } = await store().getCall("store-2");
+  assert.equal(turns.length, 1);
+  assert.equal(turns[0].text, null);
+});
+
+test("listCalls filters, sorts newest first and pages", async () => {
+  await store().startCall(call("list-1", { phoneNumberId: "PN-list", startedAt: 5000 }));
+  await store().startCall(call("list-2", { phoneNumberId: "PN-list", startedAt: 6000, direction: "outbound" }));
+  await store().startCall(call("list-3", { phoneNumberId: "PN-list", startedAt: 7000 }));
+
+  const all = await store().listCalls({ phoneNumberId: "PN-list" });
+  assert.equal(all.total, 3);
+  assert.deepEqual(all.calls.map((c) => c.callId), ["list-3", "list-2", "list-1"]);
+
+  const page = await store().listCalls({ phoneNumberId: "PN-list", limit: 1, offset: 1 });
+  assert.equal(page.total, 3);
+  assert.deepEqual(page.calls.map((c) => c.callId), ["list-2"]);
+
+  const inbound = await store().listCalls({ phoneNumberId: "PN-list", direction: "inbound", from: 5500 });
+  assert.deepEqual(inbound.calls.map((c) => c.callId), ["list-3"]);
+});
+
+test("a saved permission replaces the previous one for the same user", async () => {
+  const permission = (status, updatedAt) => ({
+    status,
+    requestedAt: 1000,
+    updatedAt,
+    expiresAt: null,
+    permanent: true,
+    source: "user_action",
+  });
+  await store().savePermission("PN-perm", "15550100020", permission("pending", 1000));
+  await store().savePermission("PN-perm", "15550100020", permission("granted", 2000));
+
+  const saved = (await store().listPermissions()).filter((p) => p.phoneNumberId === "PN-perm");
+  assert.deepEqual(saved, [{ phoneNumberId: "PN-perm", waId: "15550100020", ...permission("granted", 2000) }]);
+});
+
+// ---------------- queued writes ----------------
+
+test("call events reach the store at the next flush, not on every write", async () => {
+  await h.sendWebhook(
+    h.callEvent({ id: "store-3", event: "connect", timestamp: "1", from: "15550100000", session: { sdp_type: "offer", sdp: "v=0" } })
+  );
+  await h.waitFor(() => h.server.calls.has("store-3"));
+  assert.equal(await store().getCall("store-3"), null, "nothing written before the flush");
+
+  await h.sleep(150);
+  const record = await store().getCall("store-3");
+  assert.equal(record.direction, "inbound");
+  assert.equal(record.waId, "15550100000");
+
+  await h.sendWebhook(h.callEvent({ id: "store-3", event: "terminate", timestamp: "2", status: "COMPLETED" }));
+  await h.waitFor(() => !h.server.calls.has("store-3"));
+  await h.sleep(150);
+  assert.equal((await store().getCall("store-3")).endReason, "whatsapp_completed");
+});
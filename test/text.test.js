@@ -0,0 +1,66 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { server } = require("./helpers");
+
+async function collect(iterable) {
+  const out = [];
+  for await (const item of iterable) out.push(item);
+  return out;
+}
+
+async function* deltas(...parts) {
+  yield* parts;
+}
+
+// ---------------- sentence chunker ----------------
+
+const { sentenceChunks } = server.helpers;
+
+test("sentenceChunks cuts at sentence ends across deltas", async () => {
+  const chunks = await collect(sentenceChunks(deltas("Hello the", "re. How are", " you? Fine")));
+  assert.deepEqual(chunks, ["Hello there.", "How are you?", "Fine"]);
+});
+
+test("sentenceChunks waits for the character after a full stop", async () => {
+  // "3." could be "3.5", so the chunk is only cut once the next delta arrives
+  const chunks = await collect(sentenceChunks(deltas("It costs 3.", "5 dollars. Ok")));
+  assert.deepEqual(chunks, ["It costs 3.5 dollars.", "Ok"]);
+});
+
+test("sentenceChunks cuts long clauses without a sentence end", async () => {
+  const long = "This is a rather long opening clause that goes on, and then it continues";
+  const chunks = await collect(sentenceChunks(deltas(long)));
+  assert.deepEqual(chunks, ["This is a rather long opening clause that goes on,", "and then it continues"]);
+});
+
+test("sentenceChunks keeps short clauses together", async () => {
+  const chunks = await collect(sentenceChunks(deltas("Yes, sure, ok")));
+  assert.deepEqual(chunks, ["Yes, sure, ok"]);
+});
+
+test("sentenceChunks yields nothing for blank input", async () => {
+  assert.deepEqual(await collect(sentenceChunks(deltas("", "  "))), []);
+});
+
+// ---------------- hang-up marker ----------------
+
+const { withoutHangupMarker } = server.helpers;
+
+async function strip(...parts) {
+  let hangups = 0;
+  const text = (await collect(withoutHangupMarker(deltas(...parts), () => hangups++))).join("");
+  return { text, hangups };
+}
+
+test("withoutHangupMarker strips a marker split across deltas", async () => {
+  assert.deepEqual(await strip("Goodbye! [END", "_CA", "LL]"), { text: "Goodbye! ", hangups: 1 });
+});
+
+test("withoutHangupMarker passes text through untouched", async () => {
+  assert.deepEqual(await strip("Use [brackets] ", "freely [END"), { text: "Use [brackets] freely [END", hangups: 0 });
+});
+
+test("withoutHangupMarker doesn't hold back text that can't start the marker", async () => {
+  const seen = await collect(withoutHangupMarker(deltas("Hello", " there [E"), () => {}));
+  assert.deepEqual(seen, ["Hello", " there ", "[E"]);
+});
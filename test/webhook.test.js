@@ -0,0 +1,168 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const h = require("./helpers");
+
+test.before(h.listen);
+test.after(h.close);
+
+// Records every event dispatched to handlers of `type` while fn runs
+async function dispatched(type, fn) {
+  const seen = [];
+  const listener = (ev) => seen.push(ev);
+  h.server.webhookEvents.on(type, listener);
+  try {
+    await fn(seen);
+  } finally {
+    h.server.webhookEvents.off(type, listener);
+  }
+  return seen;
+}
+
+// ---------------- signature ----------------
+
+test("a signed webhook reaches the handlers", async () => {
+  await dispatched("message", async (seen) => {
+    const res = await h.sendWebhook(h.webhook({ messages: [{ id: "signed-1", from: "155", type: "text" }] }));
+    assert.equal(res.status, 200);
+    await h.waitFor(() => seen.length === 1);
+    assert.equal(seen[0].messageId, "signed-1");
+  });
+});
+
+test("unsigned, mis-signed and unparseable webhooks never reach the handlers", async () => {
+  const seen = await dispatched("*", async () => {
+    const body = h.webhook({ messages: [{ id: "bad-1", from: "155", type: "text" }] });
+    assert.equal((await h.sendWebhook(body, { signature: "" })).status, 401);
+    assert.equal((await h.sendWebhook(body, { secret: "wrong-secret" })).status, 403);
+    assert.equal((await h.sendWebhook("{not json")).status, 400);
+    await h.settle();
+  });
+  assert.deepEqual(seen, []);
+});
+
+test("other routes still parse JSON bodies", async () => {
+  const res = await h.request("/calls", { method: "POST", key: h.CALLS_API_KEY, body: {} });
+  assert.equal(res.status, 400);
+  assert.equal((await res.json()).error, "bad_request");
+});
+
+// ---------------- de-duplication ----------------
+
+const { createTtlStore } = h.server.helpers;
+
+test("createTtlStore expires entries", async () => {
+  const store = createTtlStore(40);
+  store.set("a");
+  store.set("b", 2);
+  assert.equal(store.has("a"), true);
+  assert.equal(store.get("b"), 2);
+  await h.sleep(60);
+  assert.equal(store.has("a"), false);
+  assert.equal(store.get("b"), undefined);
+});
+
+test("createTtlStore drops the oldest entries past maxSize", () => {
+  const store = createTtlStore(60000, 2);
+  store.set("a");
+  store.set("b");
+  store.set("c");
+  assert.equal(store.size, 2);
+  assert.equal(store.has("a"), false);
+  assert.equal(store.has("c"), true);
+});
+
+test("a redelivered event is handled once", async () => {
+  const seen = await dispatched("message", async () => {
+    const body = h.webhook({ messages: [{ id: "dup-1", from: "155", type: "text" }] });
+    await h.sendWebhook(body);
+    await h.sendWebhook(body);
+    await h.settle();
+  });
+  assert.equal(seen.length, 1);
+});
+
+// ---------------- event types ----------------
+
+const { parseWebhook, webhookShape } = h.server.helpers;
+
+test("parseWebhook reads call events with the phone number id", () => {
+  const body = h.webhook({
+    calls: [
+      { id: "c1", event: "connect", timestamp: "1", from: "155", session: { sdp_type: "offer", sdp: "v=0" } },
+      { id: "c1", event: "ice_candidate", timestamp: "2", ice: { candidate: "candidate:1" } },
+      { id: "c1", event: "terminate", timestamp: "3", status: "COMPLETED", duration: 12 },
+    ],
+  });
+  const [connect, ice, terminate] = parseWebhook(body);
+
+  assert.equal(connect.type, "call.connect");
+  assert.equal(connect.phoneNumberId, "PN1");
+  assert.equal(connect.sdpType, "offer");
+  assert.equal(connect.from, "155");
+  assert.equal(ice.type, "call.ice_candidate");
+  assert.deepEqual(ice.ice, { candidate: "candidate:1" });
+  assert.equal(terminate.type, "call.terminate");
+  assert.equal(terminate.status, "completed");
+  assert.notEqual(connect.key, terminate.key);
+});
+
+test("parseWebhook reads statuses, permission replies and errors", () => {
+  const [status, reply, error] = parseWebhook(
+    h.webhook({
+      statuses: [{ id: "c2", type: "call", status: "RINGING", timestamp: "5", recipient_id: "155" }],
+      messages: [
+        {
+          id: "m1",
+          from: "155",
+          type: "interactive",
+          interactive: {
+            type: "call_permission_reply",
+            call_permission_reply: { response: "ACCEPT", expiration_timestamp: 1700000000, response_source: "user_action" },
+          },
+        },
+      ],
+      errors: [{ code: 138006, title: "Call failed" }],
+    })
+  );
+
+  assert.deepEqual([status.type, status.callId, status.status], ["call.status", "c2", "ringing"]);
+  assert.equal(reply.type, "call.permission_reply");
+  assert.equal(reply.response, "accept");
+  assert.equal(reply.expiresAt, 1700000000 * 1000);
+  assert.equal(reply.permanent, false);
+  assert.deepEqual([error.type, error.code], ["error", 138006]);
+});
+
+test("parseWebhook reports unknown shapes and tolerates junk", () => {
+  assert.deepEqual(parseWebhook(null), []);
+  assert.deepEqual(parseWebhook({ entry: [{}] }), []);
+  const [ev] = parseWebhook(h.webhook({ something_new: { a: 1 } }, "account_update"));
+  assert.equal(ev.type, "unknown");
+});
+
+test("webhookShape keeps keys and types, not values", () => {
+  const shape = webhookShape({
+    type: "call_summary",
+    from: "15550100000",
+    body: { text: "my card number is 1234" },
+    items: [{ n: 1 }, { n: 2 }],
+    empty: null,
+  });
+  assert.deepEqual(shape, { type: "call_summary", from: "string", body: { text: "string" }, items: [{ n: "number" }], empty: "null" });
+  assert.doesNotMatch(JSON.stringify(shape), /1555|1234/);
+});
+
+test("unknown shapes are served without values, to the admin key only", async () => {
+  await h.sendWebhook(h.webhook({ mystery: { secret_text: "call me at 15550100000" } }, "mystery_field"));
+  await h.settle();
+
+  assert.equal((await h.request("/debug/webhooks/unknown")).status, 401);
+  assert.equal((await h.request("/debug/webhooks/unknown", { key: h.CALLS_API_KEY })).status, 401);
+
+  const res = await h.request("/debug/webhooks/unknown", { key: h.ADMIN_API_KEY });
+  assert.equal(res.status, 200);
+  const text = await res.text();
+  assert.match(text, /mystery_field/);
+  assert.match(text, /secret_text/);
+  assert.doesNotMatch(text, /15550100000/);
+});